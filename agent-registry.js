@@ -0,0 +1,194 @@
+// agent-registry.js
+// Pluggable ordering agents for the roles no human is playing
+//
+// An agent is any object with decide(observation, context) that returns the
+// quantity to order this round. The observation is what the role can see
+// (inventory, backlog, incoming order, order history, shipments and orders in
+// transit, plus whatever the scenario's visibility level shares); the context carries
+// the round, the role's id and type, and a seeded rng kept for the agents alone,
+// so what they draw never changes the game's customer demand.
+
+import { PlayerLogic } from './player-logic.js';
+
+export class AgentRegistry {
+  static DEFAULT_AGENT = 'classic';
+
+  static agents = new Map();
+
+  static register(id, factory, info = {}) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Agent "${id}" needs a factory function that returns an agent`);
+    }
+
+    AgentRegistry.agents.set(id, {
+      id,
+      factory,
+      name: info.name || id,
+      description: info.description || ''
+    });
+  }
+
+  static has(id) {
+    return AgentRegistry.agents.has(id);
+  }
+
+  static list() {
+    return [...AgentRegistry.agents.values()].map(({ id, name, description }) => ({ id, name, description }));
+  }
+
+  static create(spec = AgentRegistry.DEFAULT_AGENT) {
+    // Specs are either an agent id or { type, params }
+    const { type, params = {} } = typeof spec === 'string' ? { type: spec } : spec;
+    const entry = AgentRegistry.agents.get(type);
+
+    if (!entry) {
+      throw new Error(`Unknown agent "${type}". Registered agents: ${[...AgentRegistry.agents.keys()].join(', ')}`);
+    }
+
+    const agent = entry.factory(params);
+    if (!agent || typeof agent.decide !== 'function') {
+      throw new Error(`Agent "${type}" must return an object with a decide(observation, context) method`);
+    }
+
+    return { type, params, agent };
+  }
+
+  static decide(agent, observation, context) {
+    const quantity = Number(agent.decide(observation, context));
+    return Number.isFinite(quantity) ? Math.max(0, Math.round(quantity)) : 0;
+  }
+
+  // --- Classic AI: the engine's original round-dependent ordering rules ---
+
+  static getDemandSignal(observation) {
+    // Shared point-of-sale data beats the distorted orders arriving from downstream
+    return observation.shared?.customerDemand ?? observation.orderHistory ?? [];
+  }
+
+  static getInventoryPosition(observation) {
+    // Net stock plus everything already on its way, in finished units;
+    // producers count goods on the line and materials at their recipe
+    const sum = values => (values || []).reduce((a, b) => a + b, 0);
+    const { production } = observation;
+    const supply = sum(observation.incomingShipments) + sum(observation.ordersInTransit) + (observation.owedBySuppliers ?? 0);
+    const net = observation.inventory - (observation.backlog || 0);
+
+    if (!production) {
+      return net + supply;
+    }
+    const onLine = production.inProduction.reduce((total, slot) => total + slot.quantity, 0);
+    return net + onLine + (production.materialsOnHand + supply) / production.materials;
+  }
+
+  static getClassicStrategy(roleId, round, totalRounds) {
+    // Earlier rounds: more conservative
+    if (round < totalRounds * 0.25) return 'conservative';
+
+    // Mid game: vary by role
+    if (round < totalRounds * 0.6) {
+      const roleStrategies = {
+        'retailer': 'reactive',
+        'distributor': 'balanced',
+        'wholesaler': 'balanced',
+        'manufacturer': 'conservative',
+        'supplier': 'aggressive'
+      };
+      return roleStrategies[roleId] || 'balanced';
+    }
+
+    // Late game: more reactive
+    return 'reactive';
+  }
+
+  static calculateClassicOrder(observation, strategy, rng) {
+    const { inventory, backlog = 0, incomingOrder: currentOrder = 0, shared = {} } = observation;
+    const netStock = inventory - backlog;
+    const recentOrders = AgentRegistry.getDemandSignal(observation).slice(-3);
+    const avgRecentOrder = recentOrders.length > 0
+      ? recentOrders.reduce((a, b) => a + b, 0) / recentOrders.length
+      : currentOrder;
+
+    let orderQuantity;
+
+    switch (strategy) {
+      case 'conservative':
+        // Order exactly what was demanded, maintain minimal inventory
+        orderQuantity = currentOrder;
+        break;
+
+      case 'balanced':
+        // Order current demand plus a small buffer
+        orderQuantity = Math.round(currentOrder + (currentOrder * 0.2));
+        break;
+
+      case 'aggressive':
+        // Order significantly more to build inventory
+        orderQuantity = Math.round(currentOrder * 1.5);
+        if (netStock < 5) {
+          orderQuantity += 5; // Emergency buffer
+        }
+        break;
+
+      case 'reactive':
+        // React strongly to recent trends
+        const trend = recentOrders.length >= 2
+          ? recentOrders[recentOrders.length - 1] - recentOrders[0]
+          : 0;
+        orderQuantity = Math.round(avgRecentOrder + trend * 1.5);
+        break;
+
+      default:
+        orderQuantity = currentOrder;
+    }
+
+    // Add some randomness
+    const variance = Math.floor((rng.next() - 0.5) * 2 * 2);
+    orderQuantity = Math.max(0, orderQuantity + variance);
+
+    // A supplier seen to have stock on hand takes away the urge to over-order
+    const supplier = shared.echelons?.find(echelon => echelon.distance === 1);
+    const supplierCanCover = supplier && supplier.inventory - supplier.backlog >= currentOrder;
+
+    // Consider inventory position
+    if (netStock > 20) {
+      orderQuantity = Math.floor(orderQuantity * 0.7); // Reduce orders if overstocked
+    } else if (netStock < 3 && !supplierCanCover) {
+      orderQuantity = Math.ceil(orderQuantity * 1.3); // Increase if understocked
+    }
+
+    return Math.round(orderQuantity);
+  }
+}
+
+AgentRegistry.register('classic', () => ({
+  decide(observation, { roleId, roleType, round, rng }) {
+    const strategy = AgentRegistry.getClassicStrategy(roleType ?? roleId, round, observation.totalRounds);
+    return AgentRegistry.calculateClassicOrder(observation, strategy, rng);
+  }
+}), {
+  name: 'Classic AI',
+  description: 'Shifts from cautious to trend-chasing as the game goes on, with a little noise.'
+});
+
+Object.values(PlayerLogic.STRATEGIES).forEach(strategy => {
+  const { name, description } = PlayerLogic.getStrategyDescription(strategy);
+  AgentRegistry.register(strategy, () => ({
+    decide(observation) {
+      return PlayerLogic.calculateOptimalOrder(
+        { ...observation, orderHistory: AgentRegistry.getDemandSignal(observation) },
+        strategy
+      );
+    }
+  }), { name, description });
+});
+
+AgentRegistry.register('base-stock', ({ level = 12 }) => ({
+  decide(observation) {
+    return Math.max(0, level - AgentRegistry.getInventoryPosition(observation));
+  }
+}), {
+  name: 'Base stock',
+  description: 'Orders whatever brings its inventory position (stock plus everything on order, less backlog) back up to a fixed level.'
+});
+
+export default AgentRegistry;
@@ -2,22 +2,40 @@
 // Manages all visual animations in the supply chain
 
 export class AnimationController {
-  constructor() {
+  // Map positions of the classic five-role chain
+  static POSITIONS = {
+    'supplier': { x: 650, y: 50 },
+    'manufacturer': { x: 500, y: 200 },
+    'wholesaler': { x: 200, y: 200 },
+    'distributor': { x: 200, y: 380 },
+    'retailer': { x: 500, y: 380 }
+  };
+
+  constructor(positions = AnimationController.POSITIONS) {
+    this.positions = positions;
     this.activeAnimations = [];
     this.animationQueue = [];
   }
 
-  createShipmentAnimation(fromRole, toRole, quantity, delay = 0) {
-    const positions = {
-      'supplier': { x: 650, y: 50 },
-      'manufacturer': { x: 500, y: 200 },
-      'wholesaler': { x: 200, y: 200 },
-      'distributor': { x: 200, y: 380 },
-      'retailer': { x: 500, y: 380 }
-    };
+  static layoutNetwork(levels, width = 800, height = 430) {
+    // One column per echelon (end-customer facing on the left), with the
+    // nodes of each echelon spread evenly down the column;
+    // levels comes from GameEngine.getNetworkLevels()
+    const positions = {};
+    levels.forEach((nodeIds, level) => {
+      nodeIds.forEach((nodeId, index) => {
+        positions[nodeId] = {
+          x: Math.round(width * (level + 1) / (levels.length + 1)),
+          y: Math.round(height * (index + 1) / (nodeIds.length + 1))
+        };
+      });
+    });
+    return positions;
+  }
 
-    const from = positions[fromRole];
-    const to = positions[toRole];
+  createShipmentAnimation(fromRole, toRole, quantity, delay = 0) {
+    const from = this.positions[fromRole];
+    const to = this.positions[toRole];
 
     return {
       id: `${fromRole}-${toRole}-${Date.now()}`,
@@ -37,16 +55,8 @@ export class AnimationController {
   }
 
   createOrderAnimation(fromRole, toRole, quantity) {
-    const positions = {
-      'supplier': { x: 650, y: 50 },
-      'manufacturer': { x: 500, y: 200 },
-      'wholesaler': { x: 200, y: 200 },
-      'distributor': { x: 200, y: 380 },
-      'retailer': { x: 500, y: 380 }
-    };
-
-    const from = positions[fromRole];
-    const to = positions[toRole];
+    const from = this.positions[fromRole];
+    const to = this.positions[toRole];
 
     return {
       id: `order-${fromRole}-${toRole}-${Date.now()}`,
@@ -0,0 +1,188 @@
+// batch-runner.js
+// Headless Monte Carlo runs of complete games, with every role played by agents
+
+import { GameEngine } from './game-engine.js';
+import { ProductMix } from './product-mix.js';
+import { ScenarioLoader } from './scenario-loader.js';
+import { ScoreCalculator } from './score-calculator.js';
+import { CostModel } from './cost-model.js';
+
+export class BatchRunner {
+  static METRICS = ['cost', 'profit', 'bullwhipRatio', 'endCustomerRatio', 'serviceLevel'];
+
+  static run(options = {}) {
+    const {
+      scenario: scenarioData,
+      seeds = { from: 1, to: 100 },
+      agents = {},
+      roles = GameEngine.DEFAULT_ROLES,
+      percentiles = [5, 50, 95],
+      keepRuns = false,
+      onProgress = null
+    } = options;
+
+    const scenario = ScenarioLoader.load(scenarioData);
+    const seedList = BatchRunner.expandSeeds(seeds);
+    const runs = [];
+
+    seedList.forEach((seed, index) => {
+      runs.push(BatchRunner.runGame({ scenario, seed, agents, roles }));
+      if (onProgress) onProgress(index + 1, seedList.length);
+    });
+
+    const summary = {
+      scenario: scenario.name,
+      runs: runs.length,
+      seeds: Array.isArray(seeds) ? { count: seeds.length } : seeds,
+      agents: runs.length > 0 ? runs[0].agents : {},
+      roles: {},
+      chain: {
+        cost: BatchRunner.describe(runs.map(run => run.chainCost), percentiles),
+        profit: BatchRunner.describe(runs.map(run => run.chainProfit), percentiles)
+      }
+    };
+
+    // Network scenarios bring their own nodes, so take them from the games
+    const roleIds = runs.length > 0 ? Object.keys(runs[0].roles) : [];
+    roleIds.forEach(roleId => {
+      summary.roles[roleId] = {};
+      BatchRunner.METRICS.forEach(metric => {
+        summary.roles[roleId][metric] = BatchRunner.describe(
+          runs.map(run => run.roles[roleId][metric]),
+          percentiles
+        );
+      });
+    });
+
+    if (keepRuns) {
+      summary.results = runs;
+    }
+
+    return summary;
+  }
+
+  static compareVisibility(options = {}) {
+    // Same games replayed under every information sharing level
+    const scenario = ScenarioLoader.load(options.scenario);
+
+    return ScenarioLoader.VISIBILITY_LEVELS.map(visibility => ({
+      visibility,
+      ...BatchRunner.run({ ...options, scenario: { ...scenario, visibility } })
+    }));
+  }
+
+  static runGame({ scenario, seed, agents = {}, roles = GameEngine.DEFAULT_ROLES }) {
+    // Multi-product games are scored on all products added together
+    const Game = scenario.products?.length > 0 ? ProductMix : GameEngine;
+    const engine = new Game(roles, 'batch', { seed, scenario, agents });
+
+    for (let round = 1; round <= engine.scenario.rounds; round++) {
+      engine.processRound(round, {});
+    }
+
+    const bullwhip = ScoreCalculator.calculateBullwhipMetrics(engine.entities, engine.chain, engine.getCustomerMap());
+    const results = { seed, agents: {}, roles: {}, chainCost: 0, chainProfit: 0 };
+    // End-customer demand by round (by product, then round, in multi-product
+    // games); the same on a seed whichever agents play
+    results.customerDemand = engine.engines
+      ? engine.forEachEngine(product => product.customerDemand)
+      : engine.customerDemand;
+
+    engine.chain.forEach(roleId => {
+      const entity = engine.entities[roleId];
+      const { total: cost, profit } = CostModel.summarize(entity);
+      const totalDemand = entity.orderHistory.reduce((a, b) => a + b, 0);
+
+      results.agents[roleId] = engine.getAgentInfo(roleId).type;
+      results.roles[roleId] = {
+        cost,
+        profit,
+        bullwhipRatio: bullwhip[roleId].bullwhipRatio,
+        endCustomerRatio: bullwhip[roleId].endCustomerRatio,
+        serviceLevel: ScoreCalculator.calculateServiceLevel(totalDemand - entity.unfulfilledDemand, totalDemand)
+      };
+      results.chainCost += cost;
+      results.chainProfit += profit;
+    });
+
+    return results;
+  }
+
+  static expandSeeds(seeds) {
+    // Accepts [1, 5, 9], { from: 1, to: 500 } or "1-500"
+    if (Array.isArray(seeds)) return seeds;
+
+    const range = typeof seeds === 'string'
+      ? (([from, to = from]) => ({ from: Number(from), to: Number(to) }))(seeds.split('-'))
+      : seeds;
+
+    if (!Number.isInteger(range.from) || !Number.isInteger(range.to) || range.to < range.from) {
+      throw new Error(`Invalid seed range: ${JSON.stringify(seeds)}`);
+    }
+
+    const list = [];
+    for (let seed = range.from; seed <= range.to; seed++) {
+      list.push(seed);
+    }
+    return list;
+  }
+
+  static describe(allValues, percentiles = [5, 50, 95]) {
+    if (allValues.length === 0) {
+      return { mean: 0, stdDev: 0, min: 0, max: 0 };
+    }
+
+    // Runs where the metric is undefined (null, e.g. a bullwhip ratio against
+    // demand that never varied) are left out; if that is all of them, so is
+    // every statistic
+    const values = allValues.filter(value => value !== null);
+    if (values.length === 0) {
+      return Object.fromEntries(['mean', 'stdDev', 'min', 'max', ...percentiles.map(p => `p${p}`)].map(key => [key, null]));
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+
+    const stats = {
+      mean,
+      stdDev: Math.sqrt(variance),
+      min: sorted[0],
+      max: sorted[sorted.length - 1]
+    };
+
+    percentiles.forEach(p => {
+      stats[`p${p}`] = BatchRunner.percentile(sorted, p);
+    });
+
+    return stats;
+  }
+
+  static percentile(sorted, p) {
+    // Linear interpolation between closest ranks
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  static toCSV(summary) {
+    const statKeys = Object.keys(summary.chain.cost);
+    const rows = [['role', 'agent', 'metric', ...statKeys].join(',')];
+    const format = value => value === null ? 'n/a' : Number.isInteger(value) ? value : value.toFixed(4);
+
+    Object.entries(summary.roles).forEach(([roleId, metrics]) => {
+      Object.entries(metrics).forEach(([metric, stats]) => {
+        rows.push([roleId, summary.agents[roleId], metric, ...statKeys.map(key => format(stats[key]))].join(','));
+      });
+    });
+
+    Object.entries(summary.chain).forEach(([metric, stats]) => {
+      rows.push(['chain', '', metric, ...statKeys.map(key => format(stats[key]))].join(','));
+    });
+
+    return rows.join('\n') + '\n';
+  }
+}
+
+export default BatchRunner;
@@ -0,0 +1,167 @@
+// behavior-model.js
+// Fits Sterman's anchoring-and-adjustment ordering heuristic to a player's orders
+//
+// Sterman (1989) found Beer Game players order roughly
+//   order = max(0, expected demand + alpha * (desired stock - stock - beta * supply line))
+// with expected demand smoothed from incoming orders by theta. alpha is how
+// hard the stock gap is corrected, beta how much of the supply line is
+// counted (1 = all of it). His players averaged alpha 0.26, beta 0.34.
+
+import { PlayerLogic } from './player-logic.js';
+
+export class BehaviorModel {
+  static MIN_OBSERVATIONS = 6;
+  // Grid the parameters are searched on, 0 to 1 in steps of 0.05
+  static GRID = Array.from({ length: 21 }, (_, i) => i / 20);
+
+  static collectObservations(game, playerName = null) {
+    // What the player saw before each order they placed themselves: net
+    // stock, the supply line and the demand received so far. Orders the
+    // timer placed for them are left out. In multi-product games every
+    // product's orders count.
+    const engines = game.engines ? Object.values(game.engines) : [game];
+
+    return engines.flatMap(engine => engine.playerRoleHistory
+      .filter(record => record.order !== undefined && !record.autoSubmitted)
+      .filter(record => !playerName || record.player === playerName)
+      .filter(record => record.round > 1 && engine.snapshots[record.round - 1])
+      .map(record => {
+        const before = engine.snapshots[record.round - 1];
+        const node = before.nodes[record.role];
+        const sum = values => (values || []).reduce((a, b) => a + b, 0);
+        const owed = before.links
+          .filter(link => link.downstream === record.role)
+          .reduce((total, link) => total + link.backlog, 0);
+
+        return {
+          round: record.round,
+          role: record.role,
+          order: record.order,
+          stock: node.inventory - node.backlog,
+          supplyLine: sum(node.incomingShipments) + sum(node.ordersInTransit) + owed +
+            sum(node.inProduction) + (node.materials ?? 0),
+          demandHistory: engine.entities[record.role].orderHistory.slice(0, record.round - 1)
+        };
+      }));
+  }
+
+  static expectDemand(demandHistory, theta) {
+    // Adaptive expectations, anchored on the first order received
+    return demandHistory.slice(1).reduce((expected, demand) => theta * demand + (1 - theta) * expected, demandHistory[0]);
+  }
+
+  static predict(observation, expectedDemand, { alpha, beta, desiredStock }) {
+    const gap = desiredStock - observation.stock - beta * observation.supplyLine;
+    return Math.max(0, expectedDemand + alpha * gap);
+  }
+
+  static fit(observations) {
+    // Least squares over the grid; for each alpha and beta the best desired
+    // stock has a closed form
+    if (observations.length < BehaviorModel.MIN_OBSERVATIONS) return null;
+
+    const n = observations.length;
+    const orders = observations.map(o => o.order);
+    const totalVariance = Math.pow(PlayerLogic.calculateStdDev(orders), 2) * n;
+    let best = null;
+
+    BehaviorModel.GRID.forEach(theta => {
+      const expected = observations.map(o => BehaviorModel.expectDemand(o.demandHistory, theta));
+
+      BehaviorModel.GRID.forEach(alpha => {
+        BehaviorModel.GRID.forEach(beta => {
+          const anchor = observations.reduce((sum, o, i) => sum + o.order - expected[i] + alpha * (o.stock + beta * o.supplyLine), 0) / n;
+          const params = { theta, alpha, beta, desiredStock: alpha > 0 ? Math.max(0, anchor / alpha) : 0 };
+          const squaredError = observations.reduce(
+            (sum, o, i) => sum + Math.pow(o.order - BehaviorModel.predict(o, expected[i], params), 2), 0
+          );
+
+          if (!best || squaredError < best.squaredError - 1e-9) {
+            best = { ...params, squaredError };
+          }
+        });
+      });
+    });
+
+    const { squaredError, ...params } = best;
+    return {
+      ...params,
+      rSquared: totalVariance > 0 ? Math.max(0, 1 - squaredError / totalVariance) : 0,
+      rmse: Math.sqrt(squaredError / n),
+      observations: n
+    };
+  }
+
+  static diagnose(fit) {
+    // Plain-language reading of the fitted parameters, in the shape of
+    // PlayerLogic.generateRecommendation
+    if (!fit) {
+      return [{
+        type: 'info',
+        message: `Not enough of your own orders to read your ordering rule (at least ${BehaviorModel.MIN_OBSERVATIONS} are needed).`
+      }];
+    }
+
+    const percent = value => Math.round(value * 100);
+    const diagnosis = [];
+
+    if (fit.alpha < 0.05) {
+      diagnosis.push({
+        type: 'info',
+        message: 'Your orders barely respond to your stock level: you mostly pass on the demand you expect.'
+      });
+    } else {
+      if (fit.beta < 0.8) {
+        diagnosis.push({
+          type: 'warning',
+          message: `You ignore about ${percent(1 - fit.beta)}% of the stock already in your supply line, so you keep ordering for gaps that are already on the way. This is what drives the bullwhip.`
+        });
+      } else {
+        diagnosis.push({
+          type: 'tip',
+          message: `You count about ${percent(fit.beta)}% of your supply line before ordering; most players count about a third.`
+        });
+      }
+
+      const pace = fit.alpha > 0.5
+        ? ', correcting this hard overshoots once the supply line arrives.'
+        : fit.alpha < 0.15 ? ', so shortages linger before you react.' : '.';
+      diagnosis.push({
+        type: fit.alpha > 0.5 ? 'warning' : 'info',
+        message: `You close about ${percent(fit.alpha)}% of the gap between your target and actual stock each round${pace}`
+      });
+      diagnosis.push({
+        type: 'info',
+        message: `You seem to aim for about ${Math.round(fit.desiredStock)} units of net stock.`
+      });
+    }
+
+    if (fit.theta > 0.6) {
+      diagnosis.push({
+        type: 'warning',
+        message: `Your demand expectation puts ${percent(fit.theta)}% weight on the latest order, so a single spike moves your orders.`
+      });
+    } else {
+      diagnosis.push({
+        type: 'info',
+        message: `Your demand expectation puts ${percent(fit.theta)}% weight on the latest order and the rest on what came before.`
+      });
+    }
+
+    diagnosis.push({
+      type: 'info',
+      message: fit.rSquared < 0.3
+        ? `This rule explains only ${percent(fit.rSquared)}% of the swings in your orders, so read it as a rough guide.`
+        : `This rule explains ${percent(fit.rSquared)}% of the swings in your ${fit.observations} orders.`
+    });
+
+    return diagnosis;
+  }
+
+  static analyze(game, playerName = null) {
+    const fit = BehaviorModel.fit(BehaviorModel.collectObservations(game, playerName));
+    return { fit, diagnosis: BehaviorModel.diagnose(fit) };
+  }
+}
+
+export default BehaviorModel;
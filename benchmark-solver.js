@@ -0,0 +1,185 @@
+// benchmark-solver.js
+// Searches order-up-to (base-stock) levels per role for the lowest-cost chain
+//
+// Every candidate policy is simulated over the real engine with the
+// 'base-stock' agent on every role, and a pattern search moves one role's
+// level at a time while the chain's score improves (see chainScore). Benchmarks for a played
+// game replay its realised demand and disruptions, so the yardstick faces
+// exactly what the players faced, with hindsight of the whole game.
+
+import { GameEngine } from './game-engine.js';
+import { ScenarioLoader } from './scenario-loader.js';
+import { CostModel } from './cost-model.js';
+
+export class BenchmarkSolver {
+  static MAX_SIMULATIONS = 2000;
+
+  static simulate(scenario, seed, levels, roles = GameEngine.DEFAULT_ROLES) {
+    const agents = Object.fromEntries(Object.entries(levels).map(([roleId, level]) => [roleId, { type: 'base-stock', params: { level } }]));
+    const engine = new GameEngine(roles, 'benchmark', { seed, scenario, agents });
+
+    for (let round = 1; round <= engine.scenario.rounds; round++) {
+      engine.processRound(round, {});
+    }
+    return engine;
+  }
+
+  static chainScore(engine) {
+    // The chain scored as one business. With profit scoring, sales and
+    // purchases between its own roles cancel out: only end-customer revenue
+    // and purchases from the source count, or flooding stock downstream
+    // would look profitable.
+    const chain = CostModel.sum(engine.chain.map(roleId => CostModel.summarize(engine.entities[roleId])));
+    if (engine.scenario.scoring !== 'profit') {
+      return chain.total;
+    }
+
+    const internalSales = engine.chain
+      .filter(roleId => engine.getCustomerLinks(roleId).length > 0)
+      .reduce((sum, roleId) => sum + engine.entities[roleId].revenue, 0);
+    const internalPurchases = engine.chain
+      .filter(roleId => engine.getSupplyLinks(roleId).some(link => link.upstream !== GameEngine.SOURCE_ID))
+      .reduce((sum, roleId) => sum + engine.entities[roleId].purchaseCosts, 0);
+    return -(chain.profit - internalSales + internalPurchases);
+  }
+
+  static startingLevels(scenario, seed, roles) {
+    // Average demand over each role's lead time plus the review round, a
+    // textbook starting point for the search
+    const chainIds = ScenarioLoader.orderNetwork(ScenarioLoader.getNetwork(scenario, roles));
+    const probe = BenchmarkSolver.simulate(scenario, seed, Object.fromEntries(chainIds.map(id => [id, 0])), roles);
+    const demand = Object.values(probe.customerDemand);
+    const average = demand.reduce((a, b) => a + b, 0) / (demand.length || 1);
+
+    return Object.fromEntries(chainIds.map(roleId => {
+      const leadTime = Math.max(0, ...probe.getSupplyLinks(roleId).map(link => link.orderDelay + link.shippingDelay));
+      const production = ScenarioLoader.getProduction(scenario, roleId);
+      return [roleId, Math.ceil(average * (leadTime + (production?.leadTime ?? 0) + 1))];
+    }));
+  }
+
+  static solve({ scenario: scenarioData, seed = 1, roles = GameEngine.DEFAULT_ROLES } = {}) {
+    const scenario = ScenarioLoader.load(scenarioData);
+    const tried = new Map();
+
+    const evaluate = levels => {
+      const key = JSON.stringify(levels);
+      if (!tried.has(key)) {
+        const engine = BenchmarkSolver.simulate(scenario, seed, levels, roles);
+        const summaries = Object.fromEntries(engine.chain.map(roleId => [roleId, CostModel.summarize(engine.entities[roleId])]));
+        const chain = CostModel.sum(Object.values(summaries));
+        tried.set(key, {
+          levels,
+          score: BenchmarkSolver.chainScore(engine),
+          chain,
+          roles: summaries,
+          costHistory: Object.fromEntries(engine.chain.map(roleId => [roleId, engine.entities[roleId].costHistory]))
+        });
+      }
+      return tried.get(key);
+    };
+
+    let best = evaluate(BenchmarkSolver.startingLevels(scenario, seed, roles));
+    // Steps start at the power of two nearest half the largest level and
+    // halve whenever no single move improves
+    let step = 2 ** Math.max(0, Math.round(Math.log2(Math.max(1, ...Object.values(best.levels)) / 2)));
+
+    while (step >= 1 && tried.size < BenchmarkSolver.MAX_SIMULATIONS) {
+      let improved = false;
+
+      for (const roleId of Object.keys(best.levels)) {
+        for (const delta of [step, -step]) {
+          const level = best.levels[roleId] + delta;
+          if (level < 0) continue;
+
+          const candidate = evaluate({ ...best.levels, [roleId]: level });
+          if (candidate.score < best.score - 1e-9) {
+            best = candidate;
+            improved = true;
+            break;
+          }
+        }
+      }
+
+      if (!improved) {
+        step = Math.floor(step / 2);
+      }
+    }
+
+    return { ...best, simulations: tried.size };
+  }
+
+  static replayScenario(engine) {
+    // The game's scenario with its realised demand as a trace and every
+    // disruption that happened scripted; demand shocks are already in the
+    // trace
+    const { rounds } = engine.scenario;
+    const values = Array.from({ length: rounds }, (_, index) => engine.getCustomerDemand(index + 1));
+    const events = engine.timeline.getLog(rounds)
+      .filter(event => event.type !== 'demand-shock')
+      .map(({ id, random, ...event }) => event);
+
+    return {
+      ...engine.scenario,
+      demand: { type: 'trace', params: { values } },
+      events,
+      randomEvents: []
+    };
+  }
+
+  static benchmarkGame(game, options = {}) {
+    // Multi-product games are solved product by product; shared capacity is
+    // not enforced between them, so their benchmark is a lower bound
+    const engines = game.engines ? Object.entries(game.engines) : [['product', game]];
+    const products = Object.fromEntries(engines.map(([productId, engine]) => [productId, BenchmarkSolver.solve({
+      ...options,
+      scenario: BenchmarkSolver.replayScenario(engine),
+      seed: engine.seed,
+      roles: engine.roles
+    })]));
+    const solutions = Object.values(products);
+
+    return {
+      score: solutions.reduce((sum, solution) => sum + solution.score, 0),
+      chain: CostModel.sum(solutions.map(solution => solution.chain)),
+      roles: Object.fromEntries(game.chain.map(roleId => [roleId, CostModel.sum(solutions.map(solution => solution.roles[roleId]))])),
+      costHistory: Object.fromEntries(game.chain.map(roleId => [
+        roleId,
+        solutions[0].costHistory[roleId].map((_, index) => CostModel.sum(solutions.map(solution => solution.costHistory[roleId][index])))
+      ])),
+      simulations: solutions.reduce((sum, solution) => sum + solution.simulations, 0),
+      products
+    };
+  }
+
+  static gap(actual, optimal) {
+    // How much worse than the benchmark (lower is better), in percent of it
+    return optimal === 0 ? null : ((actual - optimal) / Math.abs(optimal)) * 100;
+  }
+
+  static compare(game, benchmark, playerName = null) {
+    // The player's cost on the rounds and roles they actually played, gapped
+    // on the scenario's scoring, and the whole chain on the score the solver
+    // minimises
+    const records = game.playerRoleHistory.filter(record => record.costs && (!playerName || record.player === playerName));
+    const engines = game.engines ? Object.values(game.engines) : [game];
+    const player = {
+      actual: game.getPlayerCosts(playerName),
+      optimal: CostModel.sum(records.map(record => benchmark.costHistory[record.role][record.round - 1]))
+    };
+    const chain = {
+      actual: engines.reduce((sum, engine) => sum + BenchmarkSolver.chainScore(engine), 0),
+      optimal: benchmark.score
+    };
+
+    return {
+      player: {
+        ...player,
+        gap: BenchmarkSolver.gap(CostModel.score(player.actual, game.scenario.scoring), CostModel.score(player.optimal, game.scenario.scoring))
+      },
+      chain: { ...chain, gap: BenchmarkSolver.gap(chain.actual, chain.optimal) }
+    };
+  }
+}
+
+export default BenchmarkSolver;
@@ -209,7 +209,9 @@ export class ChartManager {
     const {
       showLegend = true,
       showGrid = true,
-      legendPosition = 'bottom'
+      legendPosition = 'bottom',
+      // Vertical markers at data indexes, e.g. { index: 4, label: 'Shutdown' }
+      markers = []
     } = options;
 
     if (!datasets || datasets.length === 0) {
@@ -290,6 +292,33 @@ export class ChartManager {
           );
         })}
 
+        {/* Markers */}
+        {markers.map((marker, index) => {
+          const length = datasets[0].data.length;
+          const x = padding.left + (marker.index / (length - 1 || 1)) * chartWidth;
+          return (
+            <g key={index}>
+              <line
+                x1={x}
+                y1={padding.top}
+                x2={x}
+                y2={height - padding.bottom}
+                stroke={marker.color || '#DC2626'}
+                strokeWidth="1.5"
+                strokeDasharray="4 3"
+              />
+              <text
+                x={x + 3}
+                y={padding.top + 10 + (index % 3) * 12}
+                className="text-xs"
+                fill={marker.color || '#DC2626'}
+              >
+                {marker.label}
+              </text>
+            </g>
+          );
+        })}
+
         {/* Y-axis labels */}
         {[max, max * 0.5, 0].map((value, index) => {
           const y = padding.top + chartHeight * (index / 2);
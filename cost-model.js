@@ -0,0 +1,89 @@
+// cost-model.js
+// Turns what a role did in a round into its costs, revenue and profit
+
+export class CostModel {
+  // Rates per unit unless noted; a scenario's costs override any of them
+  static DEFAULT_RATES = {
+    stockout: 1.0,   // each unit of demand lost (lost-sales games)
+    holding: 0.5,    // each unit in stock at the end of the round
+    backlog: 1.0,    // each unit still owed at the end of the round
+    ordering: 0,     // fixed, for every round an order is placed
+    purchase: 0,     // each unit received from a supplier
+    transport: 0,    // each unit shipped to a customer
+    revenue: 0       // each unit shipped to a customer
+  };
+  static COST_TYPES = ['stockout', 'holding', 'backlog', 'ordering', 'purchase', 'transport'];
+
+  constructor(rates = {}) {
+    this.rates = { ...CostModel.DEFAULT_RATES, ...rates };
+  }
+
+  calculateRound({ inventory = 0, backlog = 0, lost = 0, ordered = 0, received = 0, shipped = 0 }) {
+    const { rates } = this;
+    const costs = {
+      stockout: lost * rates.stockout,
+      holding: inventory * rates.holding,
+      backlog: backlog * rates.backlog,
+      ordering: ordered > 0 ? rates.ordering : 0,
+      purchase: received * rates.purchase,
+      transport: shipped * rates.transport
+    };
+    const total = CostModel.COST_TYPES.reduce((sum, type) => sum + costs[type], 0);
+    const revenue = shipped * rates.revenue;
+
+    return { ...costs, total, revenue, profit: revenue - total };
+  }
+
+  static empty() {
+    return CostModel.sum([]);
+  }
+
+  static sum(rounds) {
+    // Adds up round results; records saved before a cost type existed count
+    // it as 0
+    const totals = { total: 0, revenue: 0, profit: 0 };
+    CostModel.COST_TYPES.forEach(type => {
+      totals[type] = 0;
+    });
+
+    rounds.forEach(round => {
+      CostModel.COST_TYPES.forEach(type => {
+        totals[type] += round[type] ?? 0;
+      });
+      const total = CostModel.COST_TYPES.reduce((sum, type) => sum + (round[type] ?? 0), 0);
+      totals.total += total;
+      totals.revenue += round.revenue ?? 0;
+      totals.profit += (round.revenue ?? 0) - total;
+    });
+
+    return totals;
+  }
+
+  static accumulate(entity, round) {
+    // Running totals kept on an entity, e.g. entity.holdingCosts
+    CostModel.COST_TYPES.forEach(type => {
+      entity[`${type}Costs`] = (entity[`${type}Costs`] ?? 0) + round[type];
+    });
+    entity.revenue = (entity.revenue ?? 0) + round.revenue;
+  }
+
+  static summarize(entity) {
+    // An entity's running totals as one round-shaped result
+    const costs = {};
+    CostModel.COST_TYPES.forEach(type => {
+      costs[type] = entity[`${type}Costs`] ?? 0;
+    });
+    const total = CostModel.COST_TYPES.reduce((sum, type) => sum + costs[type], 0);
+    const revenue = entity.revenue ?? 0;
+
+    return { ...costs, total, revenue, profit: revenue - total };
+  }
+
+  static score(summary, scoring = 'cost') {
+    // Higher is better on profit, lower is better on cost; rankings sort by
+    // this value ascending either way
+    return scoring === 'profit' ? -summary.profit : summary.total;
+  }
+}
+
+export default CostModel;
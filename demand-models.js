@@ -0,0 +1,258 @@
+// demand-models.js
+// Pluggable end-customer demand generators, chosen by a scenario's demand spec
+//
+// A model is any object with draw(round, rng) that returns the round's demand
+// before rounding; models that carry memory between rounds also provide
+// getState() and setState(state) so saved games resume exactly. Specs are
+// { "type": id, "params": {...} } and every model validates its own params.
+
+export class DemandModels {
+  static DEFAULT_MODEL = 'phases';
+
+  static models = new Map();
+
+  static register(id, factory, info = {}) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Demand model "${id}" needs a factory function that returns a model`);
+    }
+
+    DemandModels.models.set(id, {
+      id,
+      factory,
+      name: info.name || id,
+      description: info.description || '',
+      validate: info.validate || (() => [])
+    });
+  }
+
+  static has(id) {
+    return DemandModels.models.has(id);
+  }
+
+  static list() {
+    return [...DemandModels.models.values()].map(({ id, name, description }) => ({ id, name, description }));
+  }
+
+  static validate(spec, scenario) {
+    const entry = DemandModels.models.get(spec?.type);
+    if (!entry) {
+      return [`demand.type must be one of: ${[...DemandModels.models.keys()].join(', ')}`];
+    }
+    if (spec.params !== undefined && (typeof spec.params !== 'object' || spec.params === null)) {
+      return ['demand.params must be an object'];
+    }
+    return entry.validate(spec.params || {}, scenario).map(error => `demand.params.${error}`);
+  }
+
+  static create(spec, scenario) {
+    const { type, params = {} } = spec;
+    const entry = DemandModels.models.get(type);
+
+    if (!entry) {
+      throw new Error(`Unknown demand model "${type}". Registered models: ${[...DemandModels.models.keys()].join(', ')}`);
+    }
+
+    return entry.factory(params, scenario);
+  }
+
+  static buildPhaseTrend(phases) {
+    // Expand demand phases into one { min, max, volatility } entry per round
+    const trend = [];
+
+    phases.forEach(phase => {
+      const step = phase.step || 0;
+      for (let i = 0; i < phase.rounds; i++) {
+        trend.push({
+          min: Math.max(0, phase.min + step * i),
+          max: Math.max(0, phase.max + step * i),
+          volatility: phase.volatility ?? 0
+        });
+      }
+    });
+
+    return trend;
+  }
+
+  static parseTrace(text, column = null) {
+    // One demand value per data row of a CSV export; the column is picked by
+    // header name or index, or defaults to the last one. A first row that is
+    // not numeric is taken as the header.
+    const rows = text.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line !== '')
+      .map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')));
+
+    if (rows.length === 0) {
+      throw new Error('Demand trace is empty');
+    }
+
+    const isNumber = cell => cell !== '' && Number.isFinite(Number(cell));
+    const header = rows[0].some(cell => !isNumber(cell)) ? rows.shift() : null;
+    let index = rows[0] ? rows[0].length - 1 : 0;
+
+    if (typeof column === 'number') {
+      index = column;
+    } else if (column !== null) {
+      index = header ? header.indexOf(column) : -1;
+      if (index === -1) {
+        throw new Error(`Demand trace has no column "${column}"`);
+      }
+    }
+
+    return rows.map((row, rowIndex) => {
+      if (!isNumber(row[index] ?? '') || Number(row[index]) < 0) {
+        throw new Error(`Demand trace row ${rowIndex + (header ? 2 : 1)} has no demand value >= 0`);
+      }
+      return Math.round(Number(row[index]));
+    });
+  }
+
+  static normal(rng) {
+    // Standard normal draw (Box-Muller), using two of the game's draws
+    const u1 = 1 - rng.next();
+    const u2 = rng.next();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  static poisson(mean, rng) {
+    // Knuth's method, with the mean fed in slices so large means never
+    // underflow
+    const slice = 500;
+    let count = -1;
+    let product = 1;
+    let remaining = mean;
+
+    do {
+      count++;
+      product *= rng.next();
+      while (product < 1 && remaining > 0) {
+        const step = Math.min(slice, remaining);
+        product *= Math.exp(step);
+        remaining -= step;
+      }
+    } while (product > 1);
+
+    return count;
+  }
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isAmount = value => isNumber(value) && value >= 0;
+
+DemandModels.register('phases', (params, scenario) => {
+  const trend = DemandModels.buildPhaseTrend(scenario.demandPhases);
+  return {
+    draw(round, rng) {
+      const phase = trend[round - 1];
+      const base = rng.nextInt(phase.min, phase.max);
+      const noise = (rng.next() - 0.5) * 2 * phase.volatility * base;
+      return base + noise;
+    }
+  };
+}, {
+  name: 'Demand phases',
+  description: 'Uniform draws between each phase\'s min and max, with proportional noise (the scenario\'s demandPhases).'
+});
+
+DemandModels.register('step', ({ initial = 4, final = 8, stepRound = 5 }) => ({
+  draw(round) {
+    return round < stepRound ? initial : final;
+  }
+}), {
+  name: 'Constant then step',
+  description: 'Steady demand that jumps once and stays there; the classic 4 to 8 step in round 5 by default.',
+  validate: ({ initial = 4, final = 8, stepRound = 5 }) => {
+    const errors = [];
+    if (!isAmount(initial)) errors.push('initial must be a number >= 0');
+    if (!isAmount(final)) errors.push('final must be a number >= 0');
+    if (!(Number.isInteger(stepRound) && stepRound >= 1)) errors.push('stepRound must be a round >= 1');
+    return errors;
+  }
+});
+
+DemandModels.register('poisson', ({ mean }) => ({
+  draw(round, rng) {
+    return DemandModels.poisson(mean, rng);
+  }
+}), {
+  name: 'Poisson',
+  description: 'Independent Poisson draws around a fixed mean.',
+  validate: ({ mean }) => isAmount(mean) ? [] : ['mean must be a number >= 0']
+});
+
+DemandModels.register('normal', ({ mean, stdDev, trend = 0 }) => ({
+  draw(round, rng) {
+    return mean + trend * (round - 1) + stdDev * DemandModels.normal(rng);
+  }
+}), {
+  name: 'Normal with trend',
+  description: 'Normal draws around a mean that moves by trend units each round.',
+  validate: ({ mean, stdDev, trend = 0 }) => {
+    const errors = [];
+    if (!isAmount(mean)) errors.push('mean must be a number >= 0');
+    if (!isAmount(stdDev)) errors.push('stdDev must be a number >= 0');
+    if (!isNumber(trend)) errors.push('trend must be a number');
+    return errors;
+  }
+});
+
+DemandModels.register('seasonal', ({ mean, amplitude, period, offset = 0, stdDev = 0 }) => ({
+  draw(round, rng) {
+    const season = amplitude * Math.sin((2 * Math.PI * (round - 1 + offset)) / period);
+    return mean + season + (stdDev > 0 ? stdDev * DemandModels.normal(rng) : 0);
+  }
+}), {
+  name: 'Seasonal',
+  description: 'A sine wave of the given amplitude and period around the mean, with optional normal noise.',
+  validate: ({ mean, amplitude, period, offset = 0, stdDev = 0 }) => {
+    const errors = [];
+    if (!isAmount(mean)) errors.push('mean must be a number >= 0');
+    if (!isAmount(amplitude)) errors.push('amplitude must be a number >= 0');
+    if (!(Number.isInteger(period) && period >= 2)) errors.push('period must be an integer >= 2 rounds');
+    if (!isNumber(offset)) errors.push('offset must be a number of rounds');
+    if (!isAmount(stdDev)) errors.push('stdDev must be a number >= 0');
+    return errors;
+  }
+});
+
+DemandModels.register('ar1', ({ mean, phi, stdDev }) => {
+  // Starts at the mean; each round keeps phi of the last round's deviation
+  let last = mean;
+  return {
+    draw(round, rng) {
+      last = mean + phi * (last - mean) + stdDev * DemandModels.normal(rng);
+      return last;
+    },
+    getState() {
+      return { last };
+    },
+    setState(state) {
+      last = state.last;
+    }
+  };
+}, {
+  name: 'Autocorrelated (AR(1))',
+  description: 'Demand that drifts: each round carries over phi of the last round\'s deviation from the mean.',
+  validate: ({ mean, phi, stdDev }) => {
+    const errors = [];
+    if (!isAmount(mean)) errors.push('mean must be a number >= 0');
+    if (!(isNumber(phi) && phi > -1 && phi < 1)) errors.push('phi must be between -1 and 1');
+    if (!isAmount(stdDev)) errors.push('stdDev must be a number >= 0');
+    return errors;
+  }
+});
+
+DemandModels.register('trace', ({ values }) => ({
+  draw(round) {
+    // Traces shorter than the game start over from the beginning
+    return values[(round - 1) % values.length];
+  }
+}), {
+  name: 'Demand trace',
+  description: 'Replays recorded demand, e.g. real sales data imported from a CSV file.',
+  validate: ({ values }) => Array.isArray(values) && values.length > 0 && values.every(isAmount)
+    ? []
+    : ['values must be a non-empty list of numbers >= 0']
+});
+
+export default DemandModels;
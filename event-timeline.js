@@ -0,0 +1,96 @@
+// event-timeline.js
+// Disruptions in the game timeline: scripted in the scenario or drawn at random
+
+export class EventTimeline {
+  static LABELS = {
+    'shutdown': 'Shutdown',
+    'port-delay': 'Port delay',
+    'demand-shock': 'Demand shock',
+    'lost-shipment': 'Lost shipment'
+  };
+
+  constructor(scenario, rng) {
+    this.rng = rng;
+    this.rounds = scenario.rounds;
+    this.randomEvents = scenario.randomEvents;
+    this.events = scenario.events.map((event, index) => ({ id: `scripted-${index + 1}`, duration: 1, ...event }));
+    this.drawnThrough = 0;
+  }
+
+  drawThrough(round) {
+    // Random events are drawn once per round, in round order, so looking
+    // ahead at a round never changes what happens in it
+    const last = Math.min(round, this.rounds);
+    for (let r = this.drawnThrough + 1; r <= last; r++) {
+      this.randomEvents.forEach(({ probability, ...event }, index) => {
+        if (this.rng.next() < probability) {
+          this.events.push({ id: `random-${r}-${index + 1}`, duration: 1, ...event, round: r, random: true });
+        }
+      });
+    }
+    this.drawnThrough = Math.max(this.drawnThrough, last);
+  }
+
+  getActive(round) {
+    this.drawThrough(round);
+    return this.events.filter(event => round >= event.round && round < event.round + event.duration);
+  }
+
+  getLog(round) {
+    // Every event that has started by the given round
+    this.drawThrough(round);
+    return this.events
+      .filter(event => event.round <= round)
+      .sort((a, b) => a.round - b.round);
+  }
+
+  find(round, type, roleId) {
+    // Events without a role hit every role
+    return this.getActive(round).filter(event => event.type === type && (event.role === undefined || event.role === roleId));
+  }
+
+  isShutDown(roleId, round) {
+    return this.find(round, 'shutdown', roleId).length > 0;
+  }
+
+  getExtraDelay(roleId, round) {
+    return this.find(round, 'port-delay', roleId).reduce((sum, event) => sum + event.extraDelay, 0);
+  }
+
+  getDemandMultiplier(round) {
+    return this.find(round, 'demand-shock').reduce((product, event) => product * event.multiplier, 1);
+  }
+
+  getLostShare(roleId, round) {
+    return Math.max(0, ...this.find(round, 'lost-shipment', roleId).map(event => event.share ?? 1));
+  }
+
+  static describe(event, roles = []) {
+    const name = roleId => roles.find(role => role.id === roleId)?.name ?? roleId;
+    const rounds = event.duration > 1 ? ` for ${event.duration} rounds` : '';
+
+    switch (event.type) {
+      case 'shutdown':
+        return `${name(event.role)} is shut down and makes nothing${rounds}`;
+      case 'port-delay':
+        return `Shipments ${event.role ? `to ${name(event.role)}` : 'everywhere'} take ${event.extraDelay} extra round${event.extraDelay === 1 ? '' : 's'}${rounds}`;
+      case 'demand-shock':
+        return `Customer demand is ${event.multiplier >= 1 ? 'up' : 'down'} to ${Math.round(event.multiplier * 100)}% of normal${rounds}`;
+      case 'lost-shipment':
+        return `${event.share === undefined || event.share === 1 ? 'All' : `${Math.round(event.share * 100)}% of`} goods arriving at ${name(event.role)} are lost${rounds}`;
+      default:
+        return event.type;
+    }
+  }
+
+  toJSON() {
+    return { events: this.events, drawnThrough: this.drawnThrough };
+  }
+
+  restore(data) {
+    this.events = structuredClone(data.events);
+    this.drawnThrough = data.drawnThrough;
+  }
+}
+
+export default EventTimeline;
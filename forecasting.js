@@ -0,0 +1,209 @@
+// forecasting.js
+// Demand forecasting methods with prediction intervals and accuracy tracking
+//
+// Every method turns a demand history into one-step-ahead forecasts: what it
+// would have predicted for each past round from the rounds before it, and
+// for the round to come. Past errors give the interval width and the
+// accuracy figures (MAD, MAPE and tracking signal).
+
+export class Forecasting {
+  static METHODS = {
+    NAIVE: 'naive',
+    MOVING_AVERAGE: 'moving-average',
+    SES: 'ses',
+    HOLT: 'holt',
+    HOLT_WINTERS: 'holt-winters'
+  };
+
+  static DEFAULT_METHOD = 'moving-average';
+
+  static DEFAULT_PARAMS = {
+    window: 3,       // rounds averaged by the moving average
+    alpha: 0.3,      // level smoothing
+    beta: 0.1,       // trend smoothing (Holt, Holt-Winters)
+    gamma: 0.2,      // seasonal smoothing (Holt-Winters)
+    period: 4,       // rounds per season (Holt-Winters)
+    z: 1.2816        // interval half-width in error standard deviations (80%)
+  };
+
+  // Tracking signals beyond this many MADs mean the forecast is biased
+  static TRACKING_LIMIT = 4;
+
+  static list() {
+    return [
+      { id: 'naive', name: 'Naive', description: 'Next round will be like the last one.' },
+      { id: 'moving-average', name: 'Moving average', description: 'The average of the last few rounds.' },
+      { id: 'ses', name: 'Exponential smoothing', description: 'A weighted average that favours recent rounds.' },
+      { id: 'holt', name: 'Holt (trend)', description: 'Exponential smoothing that also follows a trend.' },
+      { id: 'holt-winters', name: 'Holt-Winters (seasonal)', description: 'Trend plus a repeating seasonal pattern; needs two full seasons of history.' }
+    ];
+  }
+
+  static oneStepForecasts(history, method = Forecasting.DEFAULT_METHOD, params = {}) {
+    // forecasts[t] predicts history[t] from the rounds before it (null when
+    // the method has nothing to go on yet); forecasts[history.length] is
+    // the next round. ahead(h) projects h rounds past the last one.
+    const { window, alpha, beta, gamma, period } = { ...Forecasting.DEFAULT_PARAMS, ...params };
+    const n = history.length;
+    const forecasts = [null];
+
+    if (n === 0) {
+      return { forecasts, ahead: () => null };
+    }
+
+    switch (method) {
+      case Forecasting.METHODS.NAIVE: {
+        for (let t = 1; t <= n; t++) forecasts.push(history[t - 1]);
+        return { forecasts, ahead: () => history[n - 1] };
+      }
+
+      case Forecasting.METHODS.MOVING_AVERAGE: {
+        const average = t => {
+          const recent = history.slice(Math.max(0, t - window), t);
+          return recent.reduce((a, b) => a + b, 0) / recent.length;
+        };
+        for (let t = 1; t <= n; t++) forecasts.push(average(t));
+        return { forecasts, ahead: () => average(n) };
+      }
+
+      case Forecasting.METHODS.SES: {
+        let level = history[0];
+        for (let t = 1; t <= n; t++) {
+          forecasts.push(level);
+          if (t < n) level = alpha * history[t] + (1 - alpha) * level;
+        }
+        return { forecasts, ahead: () => level };
+      }
+
+      case Forecasting.METHODS.HOLT_WINTERS:
+        if (n >= 2 * period) {
+          return Forecasting.holtWinters(history, { alpha, beta, gamma, period });
+        }
+        // Too little history for the seasons: plain Holt until there is
+        return Forecasting.oneStepForecasts(history, Forecasting.METHODS.HOLT, params);
+
+      case Forecasting.METHODS.HOLT: {
+        let level = history[0];
+        let trend = 0;
+        for (let t = 1; t <= n; t++) {
+          forecasts.push(level + trend);
+          if (t < n) {
+            const previous = level;
+            level = alpha * history[t] + (1 - alpha) * (level + trend);
+            trend = beta * (level - previous) + (1 - beta) * trend;
+          }
+        }
+        return { forecasts, ahead: h => level + h * trend };
+      }
+
+      default:
+        throw new Error(`Unknown forecasting method "${method}". Methods: ${Object.values(Forecasting.METHODS).join(', ')}`);
+    }
+  }
+
+  static holtWinters(history, { alpha, beta, gamma, period }) {
+    // Additive seasons, started from the first two seasons of history, so
+    // forecasts begin with the third; seasonal[t] is the estimate for round t
+    const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+    const first = history.slice(0, period);
+    let level = mean(first);
+    let trend = (mean(history.slice(period, 2 * period)) - level) / period;
+    const seasonal = first.map(value => value - level);
+    const forecasts = new Array(period).fill(null);
+
+    for (let t = period; t < history.length; t++) {
+      const season = seasonal[t - period];
+      forecasts.push(t >= 2 * period ? level + trend + season : null);
+      const previous = level;
+      level = alpha * (history[t] - season) + (1 - alpha) * (level + trend);
+      trend = beta * (level - previous) + (1 - beta) * trend;
+      seasonal.push(gamma * (history[t] - level) + (1 - gamma) * season);
+    }
+    forecasts.push(level + trend + seasonal[history.length - period]);
+
+    const n = history.length;
+    return {
+      forecasts,
+      ahead: h => level + h * trend + seasonal[n - period + ((h - 1) % period)]
+    };
+  }
+
+  static accuracy(history, forecasts) {
+    // Running accuracy after every round that had a forecast; errors are
+    // actual minus forecast, so a positive tracking signal means the
+    // forecast runs low
+    const rounds = [];
+    let absolute = 0;
+    let sum = 0;
+    let percentage = 0;
+    let counted = 0;
+    let percentCounted = 0;
+
+    history.forEach((actual, index) => {
+      const forecast = forecasts[index];
+      if (forecast === null || forecast === undefined) return;
+
+      const error = actual - forecast;
+      counted++;
+      absolute += Math.abs(error);
+      sum += error;
+      if (actual !== 0) {
+        percentage += Math.abs(error) / actual;
+        percentCounted++;
+      }
+
+      const mad = absolute / counted;
+      rounds.push({
+        round: index + 1,
+        actual,
+        forecast,
+        error,
+        mad,
+        mape: percentCounted > 0 ? (percentage / percentCounted) * 100 : null,
+        trackingSignal: mad > 0 ? sum / mad : 0
+      });
+    });
+
+    return rounds;
+  }
+
+  static forecast(history, method = Forecasting.DEFAULT_METHOD, params = {}, horizon = 1) {
+    // The next round's point forecast (or `horizon` rounds out) with its
+    // prediction interval and the method's track record so far
+    const { z } = { ...Forecasting.DEFAULT_PARAMS, ...params };
+    const { forecasts, ahead } = Forecasting.oneStepForecasts(history, method, params);
+    const rounds = Forecasting.accuracy(history, forecasts);
+    const point = ahead(horizon);
+
+    if (point === null) {
+      return { method, forecast: null, low: null, high: null, sigma: null, accuracy: rounds, latest: null };
+    }
+
+    // Spread of past errors, wider further out. Until there are a couple of
+    // errors to go on, the history's own spread stands in, and the band is
+    // at least +/-20% of the forecast.
+    const forecast = Math.max(0, point);
+    const mean = history.reduce((a, b) => a + b, 0) / history.length;
+    const deviations = rounds.length >= 2 ? rounds.map(r => r.error) : history.map(value => value - mean);
+    let sigma = Math.sqrt(deviations.reduce((sum, d) => sum + d * d, 0) / deviations.length) * Math.sqrt(horizon);
+    if (rounds.length < 2) {
+      sigma = Math.max(sigma, (0.2 * forecast) / z);
+    }
+
+    return {
+      method,
+      forecast,
+      low: Math.max(0, forecast - z * sigma),
+      high: forecast + z * sigma,
+      sigma,
+      accuracy: rounds,
+      latest: rounds[rounds.length - 1] ?? null
+    };
+  }
+
+  static isBiased(latest) {
+    return Boolean(latest) && Math.abs(latest.trackingSignal) > Forecasting.TRACKING_LIMIT;
+  }
+}
+
+export default Forecasting;
@@ -1,301 +1,872 @@
 // game-engine.js
 // Core game logic and state management for the Bullwhip Effect simulation
 
+import { SeededRandom } from './random.js';
+import { ScenarioLoader } from './scenario-loader.js';
+import { AgentRegistry } from './agent-registry.js';
+import { EventTimeline } from './event-timeline.js';
+import { CostModel } from './cost-model.js';
+import { ScoreCalculator } from './score-calculator.js';
+import { DemandModels } from './demand-models.js';
+import { PlayerLogic } from './player-logic.js';
+import { Forecasting } from './forecasting.js';
+
 export class GameEngine {
-  constructor(roles, playerName) {
-    this.roles = roles;
+  static SOURCE_ID = 'source';
+  static SAVE_VERSION = 2;
+  static ROLE_ASSIGNMENT_MODES = ['random', 'fixed', 'rotate', 'choose'];
+  static DEFAULT_ROLES = [
+    { id: 'retailer', name: 'Retail Store' },
+    { id: 'distributor', name: 'Distributor' },
+    { id: 'wholesaler', name: 'Wholesaler' },
+    { id: 'manufacturer', name: 'Brewery' },
+    { id: 'supplier', name: 'Barley Farm' }
+  ];
+
+  constructor(roles, playerName, options = {}) {
     this.playerName = playerName;
     this.currentRound = 0;
     this.playerRoleHistory = [];
     
+    // Each source of chance draws from its own stream of the seed: customer
+    // demand from rng, then role draws, disruptions and the computer players.
+    // The same seed and the same player orders always replay the same game,
+    // and the same seed brings the same customer demand whoever plays.
+    this.seed = options.seed ?? SeededRandom.randomSeed();
+    this.rng = options.rng || new SeededRandom(`${this.seed}/demand`);
+    this.roleRng = new SeededRandom(`${this.seed}/roles`);
+    this.agentRng = new SeededRandom(`${this.seed}/agents`);
+    
+    // Round count, demand, starting stock, costs and lead times all come
+    // from the scenario so facilitators can author games without code
+    this.scenario = ScenarioLoader.load(options.scenario);
+    this.costModel = options.costModel || new CostModel(this.scenario.costs);
+    
+    // The supply network is the scenario's graph, or the roles as one line.
+    // Each node is a role; metadata from the caller (icons, colours) is kept.
+    this.network = ScenarioLoader.getNetwork(this.scenario, roles);
+    this.roles = this.network.nodes.map(node => ({ ...roles.find(role => role.id === node.id), ...node }));
+    
+    // Hot-seat games: several humans each own one role for the whole game,
+    // and a round only advances once every one of them has ordered
+    this.players = options.players ? GameEngine.validatePlayers(options.players, this.roles) : [];
+    this.pendingDecisions = {};
+    // Roles whose pending order was placed for them when their time ran out
+    this.autoSubmitted = {};
+    
+    // How the single player's role is picked each round
+    this.roleAssignment = GameEngine.validateRoleAssignment(options.roleAssignment, this.roles);
+    
+    // Processing order: every customer before its suppliers
+    // (retailer ... supplier for the classic line)
+    this.chain = ScenarioLoader.orderNetwork(this.network);
+    
     // Initialize supply chain entities
     this.entities = {};
-    roles.forEach(role => {
+    this.roles.forEach(role => {
+      const startingInventory = ScenarioLoader.getStartingInventory(this.scenario, role.id);
       this.entities[role.id] = {
         id: role.id,
         name: role.name,
-        inventory: 12,
-        incomingOrders: [],
-        outgoingOrders: [],
-        incomingShipments: [],
-        outgoingShipments: [],
+        inventory: startingInventory,
+        backlog: 0,
+        // Orders received from customers each round (the role's demand)
         orderHistory: [],
-        inventoryHistory: [12],
+        inventoryHistory: [startingInventory],
+        // One entry per round: units received from suppliers, shipped to
+        // customers, left unfilled, ordered upstream, and the round's costs
+        receivedHistory: [],
+        shippedHistory: [],
+        stockoutHistory: [],
+        placedOrderHistory: [],
+        // The order as chosen, in units of the product; a producer places it
+        // upstream as the materials those units need
+        orderedUnitsHistory: [],
+        costHistory: [],
         stockoutCosts: 0,
         holdingCosts: 0,
+        backlogCosts: 0,
+        orderingCosts: 0,
+        purchaseCosts: 0,
+        transportCosts: 0,
+        revenue: 0,
         unfulfilledDemand: 0
       };
+      
+      // Producers hold raw materials and goods still on the line
+      const production = ScenarioLoader.getProduction(this.scenario, role.id);
+      if (production) {
+        Object.assign(this.entities[role.id], {
+          materials: 0,
+          inProduction: new Array(production.leadTime).fill(this.scenario.leadTimes.initialInTransit),
+          productionHistory: [],
+          capacityLimitedRounds: 0
+        });
+      }
+    });
+    
+    const unknownProducers = Object.keys(this.scenario.production).filter(id => !this.entities[id]);
+    if (unknownProducers.length > 0) {
+      throw new Error(`Scenario production references unknown roles: ${unknownProducers.join(', ')}`);
+    }
+    
+    this.links = this.buildLinks();
+    
+    // Per-round production limits set from outside the engine, e.g. when
+    // several products share one production line
+    this.capacityLimits = {};
+    
+    // Disruptions draw from the game's events stream unless a timeline is
+    // shared with other engines (several products hit by the same events)
+    this.timeline = options.timeline || new EventTimeline(this.scenario, new SeededRandom(`${this.seed}/events`));
+    [...this.scenario.events, ...this.scenario.randomEvents].forEach(event => {
+      if (event.role !== undefined && event.role !== GameEngine.SOURCE_ID && !this.entities[event.role]) {
+        throw new Error(`Scenario event references unknown role: ${event.role}`);
+      }
+      if (event.type === 'shutdown' && event.role !== GameEngine.SOURCE_ID && !ScenarioLoader.getProduction(this.scenario, event.role)) {
+        throw new Error(`Only producers or the source can be shut down, not ${event.role}`);
+      }
+    });
+    
+    // Roles without a human are run by agents, configured per role in the
+    // scenario ("default" covers the rest) and overridable per game
+    this.agentSpecs = { ...this.scenario.agents, ...options.agents };
+    this.agents = {};
+    this.roles.forEach(role => {
+      this.agents[role.id] = AgentRegistry.create(this.agentSpecs[role.id] ?? this.agentSpecs.default);
     });
     
-    // Customer demand generator
-    this.demandTrend = this.generateDemandTrend();
-    this.currentDemandPhase = 0;
+    // Customer demand generator, picked by the scenario's demand model
+    this.demandModel = DemandModels.create(this.scenario.demand, this.scenario);
+    this.customerDemand = {};
+    
+    // Frozen whole-chain views at the end of every round played; round 0 is
+    // the starting position
+    this.snapshots = [GameEngine.deepFreeze(this.takeSnapshot(0))];
   }
 
-  generateDemandTrend() {
-    // Create a realistic demand pattern with phases
-    const trend = [];
+  buildLinks() {
+    // One link per supplier/customer pair in the network, plus one from the
+    // external source to every node without suppliers. Each link holds
+    // explicit pipeline slots: slot 0 arrives in the coming round, slot 1
+    // the round after, and so on. backlog is what upstream still owes.
+    const { order, shipping, initialInTransit, links: overrides } = this.scenario.leadTimes;
+    const sourceLinks = this.network.nodes
+      .filter(node => !this.network.links.some(link => link.to === node.id))
+      .map(node => ({ from: GameEngine.SOURCE_ID, to: node.id, share: 1 }));
     
-    // Phase 1: Stable low demand (rounds 1-5)
-    for (let i = 0; i < 5; i++) {
-      trend.push({ min: 4, max: 6, volatility: 0.1 });
-    }
+    const links = [...this.network.links, ...sourceLinks].map(({ from: upstream, to: downstream, share }) => {
+      const id = `${upstream}->${downstream}`;
+      const override = overrides[id] || {};
+      const orderDelay = override.order ?? order;
+      const shippingDelay = override.shipping ?? shipping;
+      
+      return {
+        id,
+        upstream,
+        downstream,
+        share,
+        orderDelay,
+        shippingDelay,
+        orders: new Array(orderDelay).fill(initialInTransit),
+        shipments: new Array(shippingDelay).fill(initialInTransit),
+        backlog: 0
+      };
+    });
     
-    // Phase 2: Gradual increase (rounds 6-9)
-    for (let i = 0; i < 4; i++) {
-      trend.push({ min: 5 + i, max: 7 + i, volatility: 0.15 });
+    const unknown = Object.keys(overrides).filter(id => !links.some(link => link.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Scenario lead times reference unknown links: ${unknown.join(', ')}`);
     }
     
-    // Phase 3: Peak demand (rounds 10-12)
-    for (let i = 0; i < 3; i++) {
-      trend.push({ min: 8, max: 12, volatility: 0.2 });
+    return links;
+  }
+
+  getSupplyLinks(roleId) {
+    return this.links.filter(link => link.downstream === roleId);
+  }
+
+  getCustomerLinks(roleId) {
+    return this.links.filter(link => link.upstream === roleId);
+  }
+
+  getCustomerMap() {
+    // Direct customers of every node, empty for nodes facing end customers
+    return Object.fromEntries(this.chain.map(id => [id, this.getCustomerLinks(id).map(link => link.downstream)]));
+  }
+
+  getUpstreamNodes(roleId) {
+    // Every node that supplies this one, directly or further up
+    const found = [];
+    const visit = id => this.getSupplyLinks(id).forEach(({ upstream }) => {
+      if (upstream !== GameEngine.SOURCE_ID && !found.includes(upstream)) {
+        found.push(upstream);
+        visit(upstream);
+      }
+    });
+    visit(roleId);
+    return this.chain.filter(id => found.includes(id));
+  }
+
+  getDownstreamNodes(roleId) {
+    // Every node this one supplies, directly or further down
+    return this.chain.filter(id => this.getUpstreamNodes(id).includes(roleId));
+  }
+
+  getNodeDepths() {
+    // Echelon of each node: 0 faces end customers, suppliers sit one above
+    // their furthest-up customer
+    const depths = {};
+    this.chain.forEach(id => {
+      const customers = this.getCustomerLinks(id).map(link => depths[link.downstream]);
+      depths[id] = customers.length > 0 ? Math.max(...customers) + 1 : 0;
+    });
+    return depths;
+  }
+
+  getNetworkLevels() {
+    // Nodes grouped by echelon, end-customer facing first
+    const depths = this.getNodeDepths();
+    const levels = [];
+    this.network.nodes.forEach(({ id }) => {
+      (levels[depths[id]] = levels[depths[id]] || []).push(id);
+    });
+    return levels;
+  }
+
+  static enqueue(pipeline, slot, quantity) {
+    while (pipeline.length <= slot) {
+      pipeline.push(0);
     }
-    
-    // Phase 4: Sharp drop (rounds 13-15)
-    for (let i = 0; i < 3; i++) {
-      trend.push({ min: 6 - i, max: 8 - i, volatility: 0.15 });
+    pipeline[slot] += quantity;
+  }
+
+  static sumPipelines(pipelines) {
+    // Slot-by-slot total of several pipelines
+    const length = Math.max(0, ...pipelines.map(pipeline => pipeline.length));
+    return Array.from({ length }, (_, slot) => pipelines.reduce((sum, pipeline) => sum + (pipeline[slot] || 0), 0));
+  }
+
+  static deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+      Object.values(value).forEach(GameEngine.deepFreeze);
+      Object.freeze(value);
     }
+    return value;
+  }
+
+  static splitQuantity(total, weights) {
+    // Whole units in proportion to the weights; leftover units go to the
+    // largest remainders, earlier entries first on ties
+    const sum = weights.reduce((a, b) => a + b, 0);
+    const exact = weights.map(weight => sum > 0 ? total * weight / sum : 0);
+    const parts = exact.map(Math.floor);
+    let left = total - parts.reduce((a, b) => a + b, 0);
     
-    // Phase 5: Stabilization (rounds 16-18)
-    for (let i = 0; i < 3; i++) {
-      trend.push({ min: 4, max: 6, volatility: 0.1 });
-    }
+    exact
+      .map((value, index) => ({ index, remainder: value - parts[index] }))
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(({ index }) => {
+        if (left > 0) {
+          parts[index]++;
+          left--;
+        }
+      });
     
-    // Phase 6: Final spike (rounds 19-20)
-    for (let i = 0; i < 2; i++) {
-      trend.push({ min: 7, max: 10, volatility: 0.2 });
+    return parts;
+  }
+
+  allocate(available, owed) {
+    // Split stock between customers when it cannot cover everything owed
+    const total = owed.reduce((a, b) => a + b, 0);
+    if (available >= total) return [...owed];
+    
+    if (this.network.allocation === 'priority') {
+      // Customers are served in the order their links are listed
+      let left = available;
+      return owed.map(quantity => {
+        const shipped = Math.min(quantity, left);
+        left -= shipped;
+        return shipped;
+      });
     }
     
-    return trend;
+    return GameEngine.splitQuantity(available, owed);
   }
 
   getCustomerDemand(round) {
-    if (round < 1 || round > 20) return 0;
+    if (round < 1 || round > this.scenario.rounds) return 0;
+    
+    // Drawn once per round so peeking at demand never changes the game
+    if (this.customerDemand[round] !== undefined) {
+      return this.customerDemand[round];
+    }
     
-    const phase = this.demandTrend[round - 1];
-    const base = Math.floor(Math.random() * (phase.max - phase.min + 1)) + phase.min;
-    const noise = (Math.random() - 0.5) * 2 * phase.volatility * base;
+    const multiplier = this.timeline.getDemandMultiplier(round);
+    const base = this.demandModel.draw(round, this.rng);
     
-    return Math.max(0, Math.round(base + noise));
+    this.customerDemand[round] = Math.max(0, Math.round(base * multiplier));
+    return this.customerDemand[round];
+  }
+
+  getNodeDemand(roleId, round) {
+    // Demand is drawn once for the whole market, then split between the
+    // nodes facing end customers by their demand share
+    const retailNodes = this.network.nodes.filter(node => this.getCustomerLinks(node.id).length === 0);
+    const split = GameEngine.splitQuantity(this.getCustomerDemand(round), retailNodes.map(node => node.demandShare));
+    return split[retailNodes.findIndex(node => node.id === roleId)];
+  }
+
+  static validateRoleAssignment(config = {}, roles) {
+    const { mode = 'random', role = null, interval = 1 } = config;
+    
+    if (!GameEngine.ROLE_ASSIGNMENT_MODES.includes(mode)) {
+      throw new Error(`Role assignment mode must be one of: ${GameEngine.ROLE_ASSIGNMENT_MODES.join(', ')}`);
+    }
+    if (role !== null && !roles.some(r => r.id === role)) {
+      throw new Error(`Unknown role for role assignment: ${role}`);
+    }
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw new Error('Role rotation interval must be a positive integer');
+    }
+    
+    return { mode, role, interval };
+  }
+
+  assignRole(round, chosenRoleId) {
+    const { mode, role, interval } = this.roleAssignment;
+    
+    switch (mode) {
+      case 'fixed':
+        // Without a facilitator-assigned role, draw one once and keep it
+        if (!role) {
+          this.roleAssignment.role = this.roles[Math.floor(this.roleRng.next() * this.roles.length)].id;
+        }
+        return this.recordRoleAssignment(round, this.roleAssignment.role);
+      
+      case 'rotate': {
+        // Start at the given role and move one step up the chain every N rounds
+        const startIndex = role ? this.roles.findIndex(r => r.id === role) : 0;
+        const step = Math.floor((round - 1) / interval);
+        return this.recordRoleAssignment(round, this.roles[(startIndex + step) % this.roles.length].id);
+      }
+      
+      case 'choose':
+        if (!this.roles.some(r => r.id === chosenRoleId)) {
+          throw new Error(`Choose a role for round ${round}`);
+        }
+        return this.recordRoleAssignment(round, chosenRoleId);
+      
+      default:
+        return this.assignRandomRole(round);
+    }
   }
 
   assignRandomRole(round) {
     const availableRoles = [...this.roles];
-    const randomIndex = Math.floor(Math.random() * availableRoles.length);
+    const randomIndex = Math.floor(this.roleRng.next() * availableRoles.length);
     const selectedRole = availableRoles[randomIndex];
     
-    this.playerRoleHistory.push({ round, role: selectedRole.id });
-    return selectedRole;
+    return this.recordRoleAssignment(round, selectedRole.id, 'random');
+  }
+
+  recordRoleAssignment(round, roleId, mode = this.roleAssignment.mode) {
+    this.playerRoleHistory.push({ round, role: roleId, mode });
+    return this.roles.find(role => role.id === roleId);
+  }
+
+  peekIncomingOrder(roleId, round) {
+    // Returns null when an order is still being decided downstream
+    // (only possible on links without an order delay)
+    const customerLinks = this.getCustomerLinks(roleId);
+    if (customerLinks.length === 0) {
+      return this.getNodeDemand(roleId, round);
+    }
+    if (customerLinks.some(link => link.orders.length === 0)) {
+      return null;
+    }
+    return customerLinks.reduce((sum, link) => sum + link.orders[0], 0);
+  }
+
+  getInTransit(roleId, round) {
+    // Pipelines are totalled over all of a node's suppliers and customers
+    const supplyLinks = this.getSupplyLinks(roleId);
+    const customerLinks = this.getCustomerLinks(roleId);
+    const toSlots = pipelines => GameEngine.sumPipelines(pipelines).map((quantity, index) => ({
+      quantity,
+      arrivesRound: round + index
+    }));
+    
+    return {
+      shipmentsInbound: toSlots(supplyLinks.map(link => link.shipments)),
+      ordersToSupplier: toSlots(supplyLinks.map(link => link.orders)),
+      ordersFromCustomer: toSlots(customerLinks.map(link => link.orders)),
+      shipmentsToCustomer: toSlots(customerLinks.map(link => link.shipments)),
+      suppliers: supplyLinks.map(link => link.upstream),
+      leadTimes: {
+        order: Math.max(...supplyLinks.map(link => link.orderDelay)),
+        shipping: Math.max(...supplyLinks.map(link => link.shippingDelay))
+      }
+    };
   }
 
   getRoundState(round, roleId) {
     const entity = this.entities[roleId];
+    const incomingOrder = this.peekIncomingOrder(roleId, round);
     
     return {
       inventory: entity.inventory,
-      pendingOrders: entity.incomingOrders.slice(0, 1),
-      incomingShipments: entity.incomingShipments,
-      orderHistory: entity.orderHistory.slice(-10)
+      backlog: entity.backlog,
+      fulfillmentMode: this.scenario.fulfillmentMode,
+      pendingOrders: incomingOrder === null ? [] : [incomingOrder],
+      incomingShipments: GameEngine.sumPipelines(this.getSupplyLinks(roleId).map(link => link.shipments)),
+      inTransit: this.getInTransit(roleId, round),
+      production: this.getProductionState(roleId, round),
+      orderHistory: entity.orderHistory.slice(-10),
+      shared: this.getSharedInformation(roleId, round),
+      events: this.getActiveEvents(round),
+      totalRounds: this.scenario.rounds
     };
   }
 
-  processPlayerOrder(roleId, quantity, round) {
-    const entity = this.entities[roleId];
-    
-    // Process incoming order (from downstream)
-    const incomingOrder = entity.incomingOrders.shift() || 0;
+  getProductionState(roleId, round) {
+    const production = ScenarioLoader.getProduction(this.scenario, roleId);
+    if (!production) return null;
     
-    // Fulfill as much as possible from inventory
-    const fulfilled = Math.min(incomingOrder, entity.inventory);
-    const unfulfilled = incomingOrder - fulfilled;
-    
-    entity.inventory -= fulfilled;
-    entity.unfulfilledDemand += unfulfilled;
+    const entity = this.entities[roleId];
+    return {
+      ...production,
+      materialsOnHand: entity.materials,
+      inProduction: entity.inProduction.map((quantity, index) => ({
+        quantity,
+        arrivesRound: round + index
+      }))
+    };
+  }
+
+  getSharedInformation(roleId, round) {
+    // Exactly what the scenario's visibility level lets this role see
+    // beyond its own stock; each level includes the ones before it
+    const levels = ScenarioLoader.VISIBILITY_LEVELS;
+    const level = levels.indexOf(this.scenario.visibility);
+    const shared = { visibility: this.scenario.visibility };
     
-    // Receive incoming shipments (2-round delay)
-    if (entity.incomingShipments.length >= 2) {
-      const shipment = entity.incomingShipments.shift();
-      entity.inventory += shipment;
+    if (level >= levels.indexOf('customer-demand')) {
+      shared.customerDemand = [];
+      for (let r = 1; r <= Math.min(round, this.scenario.rounds); r++) {
+        shared.customerDemand.push(this.getCustomerDemand(r));
+      }
     }
     
-    // Place order upstream
-    entity.outgoingOrders.push(quantity);
-    entity.orderHistory.push(incomingOrder);
-    
-    // Calculate costs
-    const stockoutCost = unfulfilled * 1.0;
-    const holdingCost = entity.inventory * 0.5;
+    if (level >= levels.indexOf('upstream-inventory')) {
+      const full = level >= levels.indexOf('full');
+      const upstream = this.getUpstreamNodes(roleId);
+      const depths = this.getNodeDepths();
+      
+      // distance counts echelons up the network: 1 is a direct supplier's
+      // level, -1 a direct customer's
+      shared.echelons = this.chain
+        .filter(id => id !== roleId && (full || upstream.includes(id)))
+        .map(id => {
+          const entity = this.entities[id];
+          const distance = depths[id] - depths[roleId];
+          const echelon = { roleId: id, name: entity.name, distance, inventory: entity.inventory, backlog: entity.backlog };
+          
+          if (full) {
+            const supplyLinks = this.getSupplyLinks(id);
+            echelon.orderHistory = [...entity.orderHistory];
+            echelon.incomingShipments = GameEngine.sumPipelines(supplyLinks.map(link => link.shipments));
+            echelon.ordersToSupplier = GameEngine.sumPipelines(supplyLinks.map(link => link.orders));
+          }
+          return echelon;
+        });
+    }
     
-    entity.stockoutCosts += stockoutCost;
-    entity.holdingCosts += holdingCost;
-    entity.inventoryHistory.push(entity.inventory);
+    return shared;
+  }
+
+  processPlayerOrder(roleId, quantity, round, { autoSubmitted = false } = {}) {
+    const results = this.processRound(round, { [roleId]: quantity });
+    const { inventory, backlog, stockoutCost, holdingCost, backlogCost, costs, fulfilled, unfulfilled } = results[roleId];
     
-    // Process AI entities
-    this.processAIEntities(round, roleId);
+    this.recordPlayerDecision(round, roleId, results[roleId], undefined, autoSubmitted);
     
     return {
-      newInventory: entity.inventory,
+      newInventory: inventory,
+      backlog,
       stockoutCost,
       holdingCost,
+      backlogCost,
+      costs,
       fulfilled,
       unfulfilled
     };
   }
 
-  processAIEntities(round, playerRoleId) {
-    const roleOrder = ['retailer', 'distributor', 'wholesaler', 'manufacturer', 'supplier'];
+  static validatePlayers(players, roles) {
+    if (players.length < 2 || players.length > roles.length) {
+      throw new Error(`Hot-seat games need between 2 and ${roles.length} players`);
+    }
     
-    roleOrder.forEach(roleId => {
-      if (roleId === playerRoleId) return; // Skip player's role
-      
-      const entity = this.entities[roleId];
-      const strategy = this.getAIStrategy(roleId, round);
-      
-      // Get incoming order
-      let incomingOrder;
-      if (roleId === 'retailer') {
-        incomingOrder = this.getCustomerDemand(round);
-      } else {
-        const downstreamRoleId = roleOrder[roleOrder.indexOf(roleId) - 1];
-        const downstreamEntity = this.entities[downstreamRoleId];
-        incomingOrder = downstreamEntity.outgoingOrders.shift() || 0;
+    players.forEach(player => {
+      if (!player.name || !player.name.trim()) {
+        throw new Error('Every player needs a name');
       }
-      
-      entity.incomingOrders.push(incomingOrder);
-      
-      // Process this round's order
-      const orderToProcess = entity.incomingOrders.shift() || 0;
-      const fulfilled = Math.min(orderToProcess, entity.inventory);
-      const unfulfilled = orderToProcess - fulfilled;
-      
-      entity.inventory -= fulfilled;
-      entity.unfulfilledDemand += unfulfilled;
-      
-      // Receive shipments
-      if (entity.incomingShipments.length >= 2) {
-        const shipment = entity.incomingShipments.shift();
-        entity.inventory += shipment;
-      }
-      
-      // AI decision making
-      const orderQuantity = this.calculateAIOrder(entity, strategy, orderToProcess, round);
-      entity.outgoingOrders.push(orderQuantity);
-      entity.orderHistory.push(orderToProcess);
-      
-      // Calculate costs
-      entity.stockoutCosts += unfulfilled * 1.0;
-      entity.holdingCosts += entity.inventory * 0.5;
-      entity.inventoryHistory.push(entity.inventory);
-      
-      // Send shipment downstream (if not retailer)
-      if (roleId !== 'retailer') {
-        const downstreamRoleId = roleOrder[roleOrder.indexOf(roleId) - 1];
-        const downstreamEntity = this.entities[downstreamRoleId];
-        downstreamEntity.incomingShipments.push(fulfilled);
+      if (!roles.some(role => role.id === player.role)) {
+        throw new Error(`Unknown role for ${player.name}: ${player.role}`);
       }
     });
     
-    // Handle supplier shipments to manufacturer
-    const supplierEntity = this.entities['supplier'];
-    const manufacturerEntity = this.entities['manufacturer'];
-    const supplierOrder = supplierEntity.incomingOrders[supplierEntity.incomingOrders.length - 1] || 0;
-    manufacturerEntity.incomingShipments.push(supplierOrder);
+    if (new Set(players.map(player => player.role)).size !== players.length) {
+      throw new Error('Each role can only be held by one player');
+    }
+    
+    return players.map(({ name, role }) => ({ name: name.trim(), role }));
+  }
+
+  getWaitingRoles() {
+    return this.players
+      .map(player => player.role)
+      .filter(roleId => this.pendingDecisions[roleId] === undefined);
+  }
+
+  isRoundReady() {
+    return this.getWaitingRoles().length === 0;
   }
 
-  getAIStrategy(roleId, round) {
-    // Different AI strategies based on round and role
-    const strategies = ['conservative', 'balanced', 'aggressive', 'reactive'];
+  submitOrder(roleId, quantity, round, { autoSubmitted = false } = {}) {
+    if (!this.players.some(player => player.role === roleId)) {
+      throw new Error(`No player holds the ${roleId} role`);
+    }
+    if (round !== this.currentRound + 1) {
+      throw new Error(`Orders are being collected for round ${this.currentRound + 1}, not ${round}`);
+    }
     
-    // Earlier rounds: more conservative
-    if (round < 5) return 'conservative';
+    this.pendingDecisions[roleId] = Math.max(0, Math.round(quantity));
+    this.autoSubmitted[roleId] = autoSubmitted;
+    return this.getWaitingRoles();
+  }
+
+  getAutoOrder(roleId, round) {
+    // The order placed for a player whose time runs out: the scenario's
+    // fallback strategy, working from what the player could see
+    const state = this.getRoundState(round, roleId);
+    const [low, high] = this.generateForecast(roleId, round);
     
-    // Mid game: vary by role
-    if (round < 12) {
-      const roleStrategies = {
-        'retailer': 'reactive',
-        'distributor': 'balanced',
-        'wholesaler': 'balanced',
-        'manufacturer': 'conservative',
-        'supplier': 'aggressive'
-      };
-      return roleStrategies[roleId] || 'balanced';
-    }
-    
-    // Late game: more reactive
-    return 'reactive';
-  }
-
-  calculateAIOrder(entity, strategy, currentOrder, round) {
-    const recentOrders = entity.orderHistory.slice(-3);
-    const avgRecentOrder = recentOrders.length > 0 
-      ? recentOrders.reduce((a, b) => a + b, 0) / recentOrders.length 
-      : currentOrder;
-    
-    let orderQuantity;
-    
-    switch (strategy) {
-      case 'conservative':
-        // Order exactly what was demanded, maintain minimal inventory
-        orderQuantity = currentOrder;
-        break;
-        
-      case 'balanced':
-        // Order current demand plus a small buffer
-        orderQuantity = Math.round(currentOrder + (currentOrder * 0.2));
-        break;
-        
-      case 'aggressive':
-        // Order significantly more to build inventory
-        orderQuantity = Math.round(currentOrder * 1.5);
-        if (entity.inventory < 5) {
-          orderQuantity += 5; // Emergency buffer
-        }
-        break;
-        
-      case 'reactive':
-        // React strongly to recent trends
-        const trend = recentOrders.length >= 2 
-          ? recentOrders[recentOrders.length - 1] - recentOrders[0]
-          : 0;
-        orderQuantity = Math.round(avgRecentOrder + trend * 1.5);
-        break;
-        
-      default:
-        orderQuantity = currentOrder;
+    return Math.max(0, Math.round(PlayerLogic.calculateOptimalOrder(
+      { ...state, round, incomingOrder: state.pendingOrders[0] ?? (low + high) / 2 },
+      this.scenario.timer.autoSubmit
+    )));
+  }
+
+  advanceRound(round) {
+    const waiting = this.getWaitingRoles();
+    if (waiting.length > 0) {
+      throw new Error(`Still waiting for orders from: ${waiting.join(', ')}`);
     }
     
-    // Add some randomness
-    const variance = Math.floor((Math.random() - 0.5) * 2 * 2);
-    orderQuantity = Math.max(0, orderQuantity + variance);
+    const results = this.processRound(round, this.pendingDecisions);
+    this.players.forEach(player => {
+      this.recordPlayerDecision(round, player.role, results[player.role], player.name, this.autoSubmitted[player.role]);
+    });
+    this.pendingDecisions = {};
+    this.autoSubmitted = {};
     
-    // Consider inventory position
-    if (entity.inventory > 20) {
-      orderQuantity = Math.floor(orderQuantity * 0.7); // Reduce orders if overstocked
-    } else if (entity.inventory < 3) {
-      orderQuantity = Math.ceil(orderQuantity * 1.3); // Increase if understocked
+    return results;
+  }
+
+  recordPlayerDecision(round, roleId, result, playerName, autoSubmitted = false) {
+    // Keep each human decision and its cost with the round's role record
+    let record = this.playerRoleHistory.find(entry => entry.round === round && entry.role === roleId);
+    if (!record) {
+      record = { round, role: roleId, mode: playerName ? 'hotseat' : this.roleAssignment.mode };
+      this.playerRoleHistory.push(record);
     }
+    if (playerName) {
+      record.player = playerName;
+    }
+    record.order = result.orderQuantity;
+    record.costs = result.costs;
+    record.autoSubmitted = Boolean(autoSubmitted);
+  }
+
+  processRound(round, decisions = {}, estimatedOrders = {}) {
+    // Entities are processed customers first, so an order placed this round
+    // is already in the pipeline when its supplier takes its turn
+    const results = {};
+    this.getCustomerDemand(round);
+    
+    this.chain.forEach(roleId => {
+      results[roleId] = this.processEntity(roleId, round, decisions[roleId], estimatedOrders[roleId]);
+    });
+    
+    // The external source ships what it is asked for, up to its capacity
+    const sourceLinks = this.getCustomerLinks(GameEngine.SOURCE_ID);
+    const requested = sourceLinks.map(link => (link.orders.shift() || 0) + link.backlog);
+    const capacity = this.timeline.isShutDown(GameEngine.SOURCE_ID, round) ? 0 : this.scenario.source.capacity ?? Infinity;
+    const shipped = this.allocate(capacity, requested);
+    
+    sourceLinks.forEach((link, index) => {
+      link.backlog = this.scenario.fulfillmentMode === 'backlog' ? requested[index] - shipped[index] : 0;
+      GameEngine.enqueue(link.shipments, this.getShippingSlot(link, round), shipped[index]);
+    });
+    
+    this.snapshots[round] = GameEngine.deepFreeze(this.takeSnapshot(round, results, decisions));
+    this.currentRound = round;
+    return results;
+  }
+
+  takeSnapshot(round, results = {}, decisions = {}) {
+    // Copies of everything in the chain at the end of the round; pipelines
+    // list slot 0 first (arriving next round)
+    const nodes = {};
+    this.chain.forEach(roleId => {
+      const entity = this.entities[roleId];
+      const result = results[roleId];
+      const player = this.players.find(p => p.role === roleId)?.name ?? this.playerName;
+      
+      nodes[roleId] = {
+        inventory: entity.inventory,
+        backlog: entity.backlog,
+        materials: entity.materials ?? null,
+        inProduction: entity.inProduction ? [...entity.inProduction] : null,
+        incomingShipments: GameEngine.sumPipelines(this.getSupplyLinks(roleId).map(link => link.shipments)),
+        ordersInTransit: GameEngine.sumPipelines(this.getSupplyLinks(roleId).map(link => link.orders)),
+        // What happened in the round itself; null for round 0
+        incomingOrder: result?.incomingOrder ?? null,
+        received: result?.received ?? null,
+        lost: result?.lost ?? null,
+        produced: result?.produced ?? null,
+        shipped: result?.fulfilled ?? null,
+        unfulfilled: result?.unfulfilled ?? null,
+        order: result?.orderQuantity ?? null,
+        orderedUpstream: result ? entity.placedOrderHistory[round - 1] : null,
+        decidedBy: result
+          ? (decisions[roleId] !== undefined ? { player } : { agent: this.agents[roleId].type })
+          : null,
+        costs: result ? { ...result.costs } : null,
+        totalCosts: CostModel.summarize(entity)
+      };
+    });
     
-    return Math.round(orderQuantity);
+    return {
+      round,
+      customerDemand: this.customerDemand[round] ?? null,
+      nodes,
+      links: this.links.map(link => ({
+        id: link.id,
+        upstream: link.upstream,
+        downstream: link.downstream,
+        orders: [...link.orders],
+        shipments: [...link.shipments],
+        backlog: link.backlog
+      })),
+      events: structuredClone(this.getActiveEvents(round))
+    };
   }
 
-  generateForecast(roleId, round) {
+  getSnapshot(round) {
+    // Snapshots are frozen, so callers can hold on to and compare them
+    const snapshot = this.snapshots[round];
+    if (!snapshot) {
+      throw new Error(`No snapshot recorded for round ${round} (the game is at round ${this.currentRound})`);
+    }
+    return snapshot;
+  }
+
+  processEntity(roleId, round, decision, estimatedOrder) {
     const entity = this.entities[roleId];
-    const recentOrders = entity.orderHistory.slice(-3);
+    const supplyLinks = this.getSupplyLinks(roleId);
+    const customerLinks = this.getCustomerLinks(roleId);
+    const production = ScenarioLoader.getProduction(this.scenario, roleId);
+    const backlogMode = this.scenario.fulfillmentMode === 'backlog';
     
-    if (recentOrders.length === 0) {
-      return [4, 8];
+    // Receive the shipments arriving this round, less any lost on the way;
+    // producers receive raw materials, and their finished goods come off the
+    // production line
+    const arrived = supplyLinks.reduce((sum, link) => sum + (link.shipments.shift() || 0), 0);
+    const lost = Math.round(arrived * this.timeline.getLostShare(roleId, round));
+    const received = arrived - lost;
+    if (production) {
+      entity.materials += received;
+      entity.inventory += entity.inProduction.shift() || 0;
+    } else {
+      entity.inventory += received;
     }
     
-    const avg = recentOrders.reduce((a, b) => a + b, 0) / recentOrders.length;
-    const trend = recentOrders.length >= 2 
-      ? (recentOrders[recentOrders.length - 1] - recentOrders[0]) / recentOrders.length
-      : 0;
+    // Receive this round's orders from each customer (or the end customers,
+    // whose backlog is kept on the node itself)
+    const channels = customerLinks.length > 0
+      ? customerLinks.map(link => ({ link, order: link.orders.shift() || 0, owed: link.backlog }))
+      : [{ link: null, order: this.getNodeDemand(roleId, round), owed: entity.backlog }];
+    
+    // Projections replace the orders that arrive with an estimate, split
+    // evenly between customers
+    if (estimatedOrder !== undefined) {
+      GameEngine.splitQuantity(estimatedOrder, channels.map(() => 1)).forEach((order, index) => {
+        channels[index].order = order;
+      });
+    }
+    const incomingOrder = channels.reduce((sum, channel) => sum + channel.order, 0);
+    
+    // Fill as much as possible from inventory, each customer's backlog first;
+    // short stock is split between customers by the allocation rule
+    const shipped = this.allocate(entity.inventory, channels.map(channel => channel.owed + channel.order));
+    const fulfilled = shipped.reduce((a, b) => a + b, 0);
+    const unfulfilled = channels.reduce(
+      (sum, channel, index) => sum + channel.order - Math.max(0, shipped[index] - channel.owed),
+      0
+    );
+    
+    entity.inventory -= fulfilled;
+    entity.unfulfilledDemand += unfulfilled;
+    
+    // In backlog mode short units stay owed; in lost-sales mode they are gone
+    let backlog = 0;
+    channels.forEach((channel, index) => {
+      const stillOwed = backlogMode ? channel.owed + channel.order - shipped[index] : 0;
+      backlog += stillOwed;
+      if (channel.link) {
+        channel.link.backlog = stillOwed;
+        GameEngine.enqueue(channel.link.shipments, this.getShippingSlot(channel.link, round), shipped[index]);
+      }
+    });
+    entity.backlog = backlog;
+    
+    const produced = production ? this.startProduction(entity, production, round) : 0;
     
-    const forecast = avg + trend * 2;
-    const min = Math.max(0, Math.floor(forecast * 0.8));
-    const max = Math.ceil(forecast * 1.2);
+    // Place order upstream: the player's decision, or the role's agent's.
+    // Producers order the materials needed to make that many units.
+    // With several suppliers the order is split by each link's share.
+    const orderQuantity = decision ?? AgentRegistry.decide(
+      this.agents[roleId].agent,
+      this.buildObservation(roleId, round, incomingOrder),
+      { roleId, roleType: this.roles.find(role => role.id === roleId).type, round, rng: this.agentRng }
+    );
+    const upstreamOrder = production ? Math.ceil(orderQuantity * production.materials) : orderQuantity;
+    const orderSplit = GameEngine.splitQuantity(upstreamOrder, supplyLinks.map(link => link.share));
+    supplyLinks.forEach((link, index) => {
+      GameEngine.enqueue(link.orders, link.orderDelay, orderSplit[index]);
+    });
+    entity.orderHistory.push(incomingOrder);
     
-    return [min, max];
+    // Costs and revenue for the round; only lost sales count as stockouts
+    const costs = this.costModel.calculateRound({
+      inventory: entity.inventory,
+      backlog: entity.backlog,
+      lost: backlogMode ? 0 : unfulfilled,
+      ordered: upstreamOrder,
+      received,
+      shipped: fulfilled
+    });
+    CostModel.accumulate(entity, costs);
+    
+    // Net stock: negative while orders are owed
+    entity.inventoryHistory.push(entity.inventory - entity.backlog);
+    entity.receivedHistory.push(received);
+    entity.shippedHistory.push(fulfilled);
+    entity.stockoutHistory.push(unfulfilled);
+    entity.placedOrderHistory.push(upstreamOrder);
+    entity.orderedUnitsHistory.push(orderQuantity);
+    entity.costHistory.push(costs);
+    
+    return {
+      inventory: entity.inventory,
+      backlog: entity.backlog,
+      received,
+      lost,
+      produced,
+      incomingOrder,
+      orderQuantity,
+      stockoutCost: costs.stockout,
+      holdingCost: costs.holding,
+      backlogCost: costs.backlog,
+      costs,
+      fulfilled,
+      unfulfilled
+    };
+  }
+
+  startProduction(entity, production, round) {
+    // Everything the materials on hand allow goes on the line, up to capacity
+    const possible = Math.floor(entity.materials / production.materials);
+    const capacity = this.timeline.isShutDown(entity.id, round)
+      ? 0
+      : Math.min(production.capacity ?? Infinity, this.capacityLimits[entity.id] ?? Infinity);
+    const produced = Math.min(possible, capacity);
+    
+    entity.materials -= produced * production.materials;
+    GameEngine.enqueue(entity.inProduction, production.leadTime - 1, produced);
+    entity.productionHistory.push(produced);
+    if (produced < possible) {
+      entity.capacityLimitedRounds++;
+    }
+    
+    return produced;
+  }
+
+  getShippingSlot(link, round) {
+    // Pipeline slot for goods shipped on a link this round; port delays
+    // push them further back
+    return link.shippingDelay - 1 + this.timeline.getExtraDelay(link.downstream, round);
+  }
+
+  getShortageRoutes() {
+    // Who each role supplies, and how many rounds its shipments take to get
+    // there, for tracing a shortage down the network
+    return {
+      customers: this.getCustomerMap(),
+      delays: Object.fromEntries(this.links.map(link => [link.id, link.shippingDelay]))
+    };
+  }
+
+  getActiveEvents(round) {
+    return this.timeline.getActive(round);
+  }
+
+  buildObservation(roleId, round, incomingOrder) {
+    const entity = this.entities[roleId];
+    
+    return {
+      round,
+      roleId,
+      inventory: entity.inventory,
+      backlog: entity.backlog,
+      incomingOrder,
+      orderHistory: [...entity.orderHistory],
+      incomingShipments: GameEngine.sumPipelines(this.getSupplyLinks(roleId).map(link => link.shipments)),
+      // Orders on their way to suppliers, and what suppliers still owe
+      ordersInTransit: GameEngine.sumPipelines(this.getSupplyLinks(roleId).map(link => link.orders)),
+      owedBySuppliers: this.getSupplyLinks(roleId).reduce((sum, link) => sum + link.backlog, 0),
+      // Built after this round's goods have moved, so slot 0 lands next round
+      production: this.getProductionState(roleId, round + 1),
+      shared: this.getSharedInformation(roleId, round),
+      totalRounds: this.scenario.rounds
+    };
+  }
+
+  getAgentInfo(roleId) {
+    const { type, params } = this.agents[roleId];
+    const info = AgentRegistry.list().find(agent => agent.id === type);
+    return { type, params, name: info?.name || type };
+  }
+
+  forecastDemand(roleId, method = Forecasting.DEFAULT_METHOD, params = {}) {
+    // Forecast of the orders this role will receive next round, with its
+    // interval and round-by-round accuracy
+    return Forecasting.forecast(this.entities[roleId].orderHistory, method, params);
+  }
+
+  generateForecast(roleId, round, method = Forecasting.DEFAULT_METHOD) {
+    // The forecast's interval as whole units; before any orders have come
+    // in, the classic game's opening range
+    const { forecast, low, high } = this.forecastDemand(roleId, method);
+    
+    if (forecast === null) {
+      return [4, 8];
+    }
+    
+    return [Math.floor(low), Math.ceil(high)];
   }
 
   getAnimationsForRound(round) {
@@ -307,44 +878,146 @@ export class GameEngine {
     return animations;
   }
 
-  calculateResponsibilityScore(roleId) {
-    const roleOrder = ['supplier', 'manufacturer', 'wholesaler', 'distributor', 'retailer'];
-    const roleIndex = roleOrder.indexOf(roleId);
+  getPlayerCosts(playerName) {
+    return CostModel.sum(this.playerRoleHistory
+      .filter(({ costs, player }) => costs && (!playerName || player === playerName))
+      .map(({ costs }) => costs));
+  }
+
+  toJSON() {
+    // Versioned, JSON-safe save document; role metadata beyond id/name
+    // (icons, colours) is re-attached by the caller on restore
+    return this.serialize();
+  }
+
+  serialize({ snapshots = true } = {}) {
+    // Without snapshots the copy restores with only its starting one, which
+    // is all a throwaway copy (see OrderProjection) needs
+    return structuredClone({
+      version: GameEngine.SAVE_VERSION,
+      savedAt: new Date().toISOString(),
+      playerName: this.playerName,
+      roles: this.roles.map(({ id, name }) => ({ id, name })),
+      seed: this.seed,
+      rngState: this.rng.getState(),
+      roleRngState: this.roleRng.getState(),
+      agentRngState: this.agentRng.getState(),
+      eventRngState: this.timeline.rng.getState(),
+      scenario: this.scenario,
+      players: this.players,
+      roleAssignment: this.roleAssignment,
+      agentSpecs: this.agentSpecs,
+      pendingDecisions: this.pendingDecisions,
+      autoSubmitted: this.autoSubmitted,
+      currentRound: this.currentRound,
+      customerDemand: this.customerDemand,
+      demandState: this.demandModel.getState?.() ?? null,
+      entities: this.entities,
+      links: this.links,
+      events: this.timeline.toJSON(),
+      snapshots: snapshots ? this.snapshots : undefined,
+      playerRoleHistory: this.playerRoleHistory
+    });
+  }
+
+  static fromJSON(json, roles) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
     
-    let responsibilityScore = 0;
-    const entity = this.entities[roleId];
+    if (!data || !(data.version >= 1 && data.version <= GameEngine.SAVE_VERSION)) {
+      throw new Error(`Unsupported saved game version: ${data?.version}`);
+    }
     
-    // For each unfulfilled order, check if it caused downstream stockouts
-    if (entity.unfulfilledDemand > 0 && roleIndex < roleOrder.length - 1) {
-      for (let i = roleIndex + 1; i < roleOrder.length; i++) {
-        const downstreamEntity = this.entities[roleOrder[i]];
-        if (downstreamEntity.unfulfilledDemand > 0) {
-          responsibilityScore += Math.min(entity.unfulfilledDemand, downstreamEntity.unfulfilledDemand);
-        }
+    const gameRoles = roles || data.roles;
+    const missing = data.roles.filter(saved => !gameRoles.some(role => role.id === saved.id));
+    if (missing.length > 0 || gameRoles.length !== data.roles.length) {
+      throw new Error('Saved game roles do not match the roles supplied');
+    }
+    
+    const engine = new GameEngine(gameRoles, data.playerName, {
+      seed: data.seed,
+      scenario: data.scenario,
+      players: data.players?.length ? data.players : undefined,
+      roleAssignment: data.roleAssignment,
+      agents: data.agentSpecs
+    });
+    
+    engine.rng.setState(data.rngState);
+    // Saves from before each source of chance had its own stream start the
+    // missing ones afresh
+    if (data.roleRngState !== undefined) {
+      engine.roleRng.setState(data.roleRngState);
+    }
+    if (data.agentRngState !== undefined) {
+      engine.agentRng.setState(data.agentRngState);
+    }
+    if (data.eventRngState !== undefined) {
+      engine.timeline.rng.setState(data.eventRngState);
+    }
+    engine.currentRound = data.currentRound;
+    engine.customerDemand = structuredClone(data.customerDemand);
+    if (data.demandState) {
+      engine.demandModel.setState?.(data.demandState);
+    }
+    // Fields added since the game was saved start from their initial values
+    engine.entities = Object.fromEntries(Object.entries(data.entities).map(
+      ([roleId, entity]) => [roleId, { ...engine.entities[roleId], ...structuredClone(entity) }]
+    ));
+    // Saves from before orders were kept in product units count producers'
+    // material orders back into units
+    Object.entries(engine.entities).forEach(([roleId, entity]) => {
+      if (!data.entities[roleId].orderedUnitsHistory) {
+        const materials = ScenarioLoader.getProduction(engine.scenario, roleId)?.materials ?? 1;
+        entity.orderedUnitsHistory = entity.placedOrderHistory.map(quantity => quantity / materials);
       }
+    });
+    engine.links = structuredClone(data.links);
+    if (data.version === 1) {
+      // Version 1 only had a linear chain and kept backlog on the role alone
+      engine.links.forEach(link => {
+        link.share = 1;
+        link.backlog = link.upstream === GameEngine.SOURCE_ID ? link.backlog ?? 0 : engine.entities[link.upstream].backlog;
+      });
+    }
+    if (data.events) {
+      engine.timeline.restore(data.events);
     }
+    // Saves from before snapshots were kept only have the starting one
+    if (data.snapshots) {
+      engine.snapshots = data.snapshots.map(snapshot => GameEngine.deepFreeze(snapshot));
+    }
+    engine.playerRoleHistory = structuredClone(data.playerRoleHistory);
+    engine.pendingDecisions = { ...data.pendingDecisions };
+    engine.autoSubmitted = { ...data.autoSubmitted };
     
-    return responsibilityScore;
+    return engine;
   }
 
   getFinalResults() {
     const rankings = Object.keys(this.entities).map(roleId => {
       const entity = this.entities[roleId];
       const role = this.roles.find(r => r.id === roleId);
+      const summary = CostModel.summarize(entity);
       
       return {
         roleId,
         role: role.name,
-        totalCost: entity.stockoutCosts + entity.holdingCosts,
-        stockoutCosts: entity.stockoutCosts,
-        holdingCosts: entity.holdingCosts,
-        responsibilityScore: this.calculateResponsibilityScore(roleId),
+        totalCost: summary.total,
+        stockoutCosts: summary.stockout,
+        holdingCosts: summary.holding,
+        backlogCosts: summary.backlog,
+        orderingCosts: summary.ordering,
+        purchaseCosts: summary.purchase,
+        transportCosts: summary.transport,
+        revenue: summary.revenue,
+        profit: summary.profit,
+        responsibilityScore: ScoreCalculator.calculateResponsibilityScore(roleId, this.entities, this.chain, this.getShortageRoutes()),
         avgInventory: entity.inventoryHistory.reduce((a, b) => a + b, 0) / entity.inventoryHistory.length
       };
     });
     
-    // Sort by total cost
-    rankings.sort((a, b) => a.totalCost - b.totalCost);
+    // Best first: lowest total cost, or highest profit in profit-scored games
+    const score = ranking => CostModel.score({ total: ranking.totalCost, profit: ranking.profit }, this.scenario.scoring);
+    rankings.sort((a, b) => score(a) - score(b));
     
     // Compile inventory history
     const inventoryHistory = {};
@@ -358,11 +1031,27 @@ export class GameEngine {
       orderHistory[roleId] = this.entities[roleId].orderHistory;
     });
     
+    const placedOrderHistory = {};
+    Object.keys(this.entities).forEach(roleId => {
+      placedOrderHistory[roleId] = this.entities[roleId].placedOrderHistory;
+    });
+    
+    // Round-by-round report for every role
+    const reports = {};
+    this.roles.forEach(role => {
+      reports[role.id] = ScoreCalculator.generatePerformanceReport(this.entities[role.id], role.id, role.name);
+    });
+    
     return {
       rankings,
       inventoryHistory,
       orderHistory,
-      playerRoleHistory: this.playerRoleHistory
+      placedOrderHistory,
+      reports,
+      playerRoleHistory: this.playerRoleHistory,
+      events: this.timeline.getLog(this.currentRound),
+      seed: this.seed,
+      scenario: this.scenario
     };
   }
 }
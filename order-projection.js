@@ -0,0 +1,160 @@
+// order-projection.js
+// What-if projection of an order before it is placed
+//
+// The game is copied through its save format, less the snapshot history, and
+// played a few rounds ahead on the copy, so the real game never moves. The
+// player's role receives the orders its forecast expects (this round's where
+// already known) and, after the order being weighed, keeps ordering what it
+// expects to ship. Suppliers are assumed to ship in full and no new
+// disruptions to start, as the player can see neither coming.
+
+import { GameEngine } from './game-engine.js';
+import { ScenarioLoader } from './scenario-loader.js';
+import { CostModel } from './cost-model.js';
+
+export class OrderProjection {
+  // Rounds projected past the one the order arrives in
+  static EXTRA_ROUNDS = 2;
+  // Stock above this many rounds of expected orders is an overshoot
+  static OVERSTOCK_ROUNDS = 3;
+
+  static clone(engine, round) {
+    // Only disruptions that have started by the round being decided are
+    // known; the copy never draws new ones
+    const copy = GameEngine.fromJSON(engine.serialize({ snapshots: false }), engine.roles);
+    copy.timeline.restore({ events: engine.timeline.getLog(round), drawnThrough: copy.scenario.rounds });
+    return copy;
+  }
+
+  static leadTime(engine, roleId) {
+    // Rounds from placing an order to having all of it in stock
+    const production = ScenarioLoader.getProduction(engine.scenario, roleId);
+    const delays = engine.getSupplyLinks(roleId).map(link => link.orderDelay + link.shippingDelay);
+    return Math.max(0, ...delays) + (production?.leadTime ?? 0);
+  }
+
+  static project(game, roleId, quantity, round, options = {}) {
+    if (!game.engines) {
+      return OrderProjection.projectEngine(game, roleId, quantity, round, options);
+    }
+
+    // Multi-product games take one quantity per product; each product is
+    // projected on its own, without the capacity they share
+    const engines = Object.values(game.engines);
+    const rounds = options.rounds ?? Math.max(...engines.map(engine => OrderProjection.leadTime(engine, roleId))) + OrderProjection.EXTRA_ROUNDS;
+    const products = game.forEachEngine((engine, productId) => OrderProjection.projectEngine(
+      engine, roleId, quantity[productId] ?? 0, round, { ...options, rounds }
+    ));
+    const projections = Object.values(products);
+
+    return {
+      rounds: projections[0].rounds.map((entry, index) => {
+        const each = projections.map(projection => projection.rounds[index]);
+        const sum = key => each.reduce((total, product) => total + product[key], 0);
+        return {
+          round: entry.round,
+          incomingOrder: sum('incomingOrder'),
+          received: sum('received'),
+          inventory: sum('inventory'),
+          backlog: sum('backlog'),
+          unfulfilled: sum('unfulfilled'),
+          costs: CostModel.sum(each.map(product => product.costs))
+        };
+      }),
+      totalCosts: CostModel.sum(projections.map(projection => projection.totalCosts)),
+      expectedOrder: projections.reduce((total, projection) => total + projection.expectedOrder, 0),
+      arrivalRound: Math.max(...projections.map(projection => projection.arrivalRound)),
+      warnings: Object.entries(products).flatMap(([productId, projection]) => {
+        const { name } = game.products.find(product => product.id === productId);
+        return projection.warnings.map(warning => ({ ...warning, message: `${name}: ${warning.message}` }));
+      }),
+      products
+    };
+  }
+
+  static projectEngine(engine, roleId, quantity, round, { method, rounds } = {}) {
+    // Until orders have come in, the middle of the opening forecast range
+    const known = engine.peekIncomingOrder(roleId, round);
+    const [low, high] = engine.generateForecast(roleId, round, method);
+    const expected = Math.round(engine.forecastDemand(roleId, method).forecast ?? (low + high) / 2);
+    const leadTime = OrderProjection.leadTime(engine, roleId);
+    const arrivalRound = round + leadTime;
+    const lastRound = Math.min(engine.scenario.rounds, round + (rounds ?? leadTime + OrderProjection.EXTRA_ROUNDS) - 1);
+
+    const copy = OrderProjection.clone(engine, round);
+    const suppliers = copy.getSupplyLinks(roleId)
+      .map(link => link.upstream)
+      .filter(supplierId => supplierId !== GameEngine.SOURCE_ID);
+    const projected = [];
+
+    for (let r = round; r <= lastRound; r++) {
+      const order = r === round ? quantity : expected;
+
+      // Suppliers get enough stock for everything they owe or have been asked for
+      suppliers.forEach(supplierId => {
+        const asked = copy.getCustomerLinks(supplierId)
+          .reduce((sum, link) => sum + link.backlog + link.orders.reduce((a, b) => a + b, 0), 0);
+        const supplier = copy.entities[supplierId];
+        supplier.inventory = Math.max(supplier.inventory, asked + order);
+      });
+
+      const estimate = r === round && known !== null ? {} : { [roleId]: expected };
+      const result = copy.processRound(r, { [roleId]: order }, estimate)[roleId];
+      projected.push({
+        round: r,
+        incomingOrder: result.incomingOrder,
+        received: result.received,
+        inventory: result.inventory,
+        backlog: result.backlog,
+        unfulfilled: result.unfulfilled,
+        costs: result.costs
+      });
+    }
+
+    return {
+      rounds: projected,
+      totalCosts: CostModel.sum(projected.map(entry => entry.costs)),
+      expectedOrder: expected,
+      arrivalRound,
+      warnings: OrderProjection.assess(projected, expected, arrivalRound, engine.scenario.rounds)
+    };
+  }
+
+  static assess(projected, expected, arrivalRound, totalRounds) {
+    // Judges the order by the stock it leaves in the round it arrives, the
+    // first round it can change; in the shape of
+    // PlayerLogic.generateRecommendation
+    if (arrivalRound > totalRounds) {
+      return [{
+        type: 'info',
+        message: `An order placed now arrives after the last round (${totalRounds}), so it can no longer help.`
+      }];
+    }
+
+    const arrival = projected.find(entry => entry.round === arrivalRound);
+    if (!arrival) return [];
+
+    const shortfall = Math.max(arrival.backlog, arrival.unfulfilled);
+    const ceiling = expected * OrderProjection.OVERSTOCK_ROUNDS;
+    const units = count => `${count} unit${count === 1 ? '' : 's'}`;
+
+    if (shortfall > 0) {
+      return [{
+        type: 'warning',
+        message: `Undershoot: you would still be ${units(shortfall)} short in round ${arrivalRound}, when this order arrives. About ${shortfall} more would cover it.`
+      }];
+    }
+    if (arrival.inventory > ceiling) {
+      return [{
+        type: 'warning',
+        message: `Overshoot: you would hold ${units(arrival.inventory)} in round ${arrivalRound}, more than ${OrderProjection.OVERSTOCK_ROUNDS} rounds of the ${expected} a round you expect to ship. About ${arrival.inventory - ceiling} fewer would do.`
+      }];
+    }
+    return [{
+      type: 'tip',
+      message: `This order leaves you ${units(arrival.inventory)} in round ${arrivalRound}, when it arrives.`
+    }];
+  }
+}
+
+export default OrderProjection;
@@ -1,6 +1,8 @@
 // player-logic.js
 // AI decision-making logic and player strategy patterns
 
+import { Forecasting } from './forecasting.js';
+
 export class PlayerLogic {
   static STRATEGIES = {
     LEAN: 'lean',
@@ -10,7 +12,9 @@ export class PlayerLogic {
     PREDICTIVE: 'predictive'
   };
 
-  static calculateOptimalOrder(currentState, strategy = PlayerLogic.STRATEGIES.BALANCED) {
+  static calculateOptimalOrder(state, strategy = PlayerLogic.STRATEGIES.BALANCED) {
+    // Strategies reason about net stock, so owed units count against inventory
+    const currentState = { ...state, inventory: state.inventory - (state.backlog || 0) };
     const {
       inventory,
       incomingOrder,
@@ -107,20 +111,11 @@ export class PlayerLogic {
       return PlayerLogic.balancedStrategy(state);
     }
     
-    // Simple moving average with trend
-    const windowSize = Math.min(5, orderHistory.length);
-    const recentOrders = orderHistory.slice(-windowSize);
-    const ma = recentOrders.reduce((a, b) => a + b, 0) / windowSize;
-    
-    // Linear regression for trend
-    const trend = PlayerLogic.calculateTrend(recentOrders);
+    // Holt's trend-following forecast two rounds out
+    const { forecast, sigma } = Forecasting.forecast(orderHistory, Forecasting.METHODS.HOLT, {}, 2);
     
-    // Forecast next period
-    const forecast = ma + trend * 2;
-    
-    // Calculate safety stock based on variability
-    const stdDev = PlayerLogic.calculateStdDev(recentOrders);
-    const safetyStock = stdDev * 1.5;
+    // Safety stock from the forecast's own past errors
+    const safetyStock = sigma * 1.5;
     
     const targetInventory = forecast + safetyStock;
     const orderQuantity = Math.max(0, targetInventory - inventory);
@@ -151,7 +146,7 @@ export class PlayerLogic {
     return Math.sqrt(variance);
   }
 
-  static analyzePerformance(orderHistory, inventoryHistory, demandHistory) {
+  static analyzePerformance(placedOrders, inventoryHistory, demandHistory) {
     const totalStockouts = demandHistory.reduce((sum, demand, index) => {
       const inventory = inventoryHistory[index] || 0;
       return sum + Math.max(0, demand - inventory);
@@ -159,10 +154,11 @@ export class PlayerLogic {
     
     const avgInventory = inventoryHistory.reduce((a, b) => a + b, 0) / inventoryHistory.length;
     
-    const orderVariability = PlayerLogic.calculateStdDev(orderHistory);
+    const orderVariability = PlayerLogic.calculateStdDev(placedOrders);
     const demandVariability = PlayerLogic.calculateStdDev(demandHistory);
     
-    const bullwhipRatio = orderVariability / (demandVariability || 1);
+    // Variance of the orders placed over variance of the demand received
+    const bullwhipRatio = Math.pow(orderVariability, 2) / (Math.pow(demandVariability, 2) || 1);
     
     return {
       totalStockouts,
@@ -193,12 +189,18 @@ export class PlayerLogic {
   }
 
   static generateRecommendation(state, performanceHistory = []) {
-    const { inventory, orderHistory = [], round } = state;
+    const { inventory, backlog = 0, orderHistory = [], round, totalRounds = 20 } = state;
     
     const recommendations = [];
     
     // Check inventory levels
-    if (inventory < 3) {
+    if (backlog > 0) {
+      recommendations.push({
+        type: 'warning',
+        message: `You owe ${backlog} units to your customer. Backlog is served first and costs you every round it stays open.`,
+        priority: 'high'
+      });
+    } else if (inventory < 3) {
       recommendations.push({
         type: 'warning',
         message: 'Low inventory detected. Consider ordering more to prevent stockouts.',
@@ -234,7 +236,7 @@ export class PlayerLogic {
         message: 'Early game: Focus on understanding demand patterns before building large inventories.',
         priority: 'low'
       });
-    } else if (round > 15) {
+    } else if (round > totalRounds - 5) {
       recommendations.push({
         type: 'info',
         message: 'End game approaching: Consider liquidating excess inventory to minimize holding costs.',
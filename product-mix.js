@@ -0,0 +1,331 @@
+// product-mix.js
+// Several products (SKUs) moving through the same supply network
+//
+// Each product runs in its own GameEngine with its own demand, costs and lead
+// times. The mix keeps them in step: one role assignment, one order per
+// product each round, and production capacity shared between products.
+
+import { GameEngine } from './game-engine.js';
+import { ScenarioLoader } from './scenario-loader.js';
+import { ScoreCalculator } from './score-calculator.js';
+import { SeededRandom } from './random.js';
+import { EventTimeline } from './event-timeline.js';
+import { CostModel } from './cost-model.js';
+
+export class ProductMix {
+  constructor(roles, playerName, options = {}) {
+    this.scenario = ScenarioLoader.load(options.scenario);
+    this.seed = options.seed ?? SeededRandom.randomSeed();
+    this.products = ScenarioLoader.getProducts(this.scenario).map(({ id, name, scenario }) => ({ id, name, scenario }));
+
+    // Product seeds are derived from the mix's seed, so the same seed still
+    // replays the same game. Disruptions hit every product alike.
+    this.timeline = new EventTimeline(this.scenario, new SeededRandom(`${this.seed}/events`));
+    this.engines = {};
+    this.products.forEach(product => {
+      this.engines[product.id] = new GameEngine(roles, playerName, {
+        ...options,
+        seed: `${this.seed}/${product.id}`,
+        rng: undefined,
+        timeline: this.timeline,
+        scenario: product.scenario
+      });
+    });
+    this.primary = this.engines[this.products[0].id];
+
+    Object.keys(this.scenario.sharedCapacity).forEach(roleId => {
+      const missing = this.products.filter(product => !ScenarioLoader.getProduction(product.scenario, roleId));
+      if (missing.length > 0) {
+        throw new Error(`Shared capacity at ${roleId} needs production settings for: ${missing.map(p => p.id).join(', ')}`);
+      }
+    });
+  }
+
+  // Roles, players and the network are the same for every product
+  get roles() { return this.primary.roles; }
+  get playerName() { return this.primary.playerName; }
+  get players() { return this.primary.players; }
+  get roleAssignment() { return this.primary.roleAssignment; }
+  get currentRound() { return this.primary.currentRound; }
+  get playerRoleHistory() { return this.primary.playerRoleHistory; }
+  get chain() { return this.primary.chain; }
+  get agentSpecs() { return this.primary.agentSpecs; }
+
+  get entities() {
+    // All products added together, for chain-wide metrics
+    const entities = {};
+
+    this.chain.forEach(roleId => {
+      const perProduct = this.products.map(({ id }) => this.engines[id].entities[roleId]);
+      const sum = key => perProduct.reduce((total, entity) => total + entity[key], 0);
+      const sumSeries = key => perProduct[0][key].map((_, index) => perProduct.reduce((total, entity) => total + entity[key][index], 0));
+
+      entities[roleId] = {
+        id: roleId,
+        name: perProduct[0].name,
+        inventory: sum('inventory'),
+        backlog: sum('backlog'),
+        orderHistory: sumSeries('orderHistory'),
+        inventoryHistory: sumSeries('inventoryHistory'),
+        receivedHistory: sumSeries('receivedHistory'),
+        shippedHistory: sumSeries('shippedHistory'),
+        stockoutHistory: sumSeries('stockoutHistory'),
+        placedOrderHistory: sumSeries('placedOrderHistory'),
+        orderedUnitsHistory: sumSeries('orderedUnitsHistory'),
+        costHistory: perProduct[0].costHistory.map((_, index) => CostModel.sum(perProduct.map(entity => entity.costHistory[index]))),
+        ...Object.fromEntries(CostModel.COST_TYPES.map(type => [`${type}Costs`, sum(`${type}Costs`)])),
+        revenue: sum('revenue'),
+        unfulfilledDemand: sum('unfulfilledDemand')
+      };
+    });
+
+    return entities;
+  }
+
+  forEachEngine(callback) {
+    return Object.fromEntries(this.products.map(({ id }) => [id, callback(this.engines[id], id)]));
+  }
+
+  getAgentInfo(roleId) {
+    return this.primary.getAgentInfo(roleId);
+  }
+
+  getActiveEvents(round) {
+    return this.timeline.getActive(round);
+  }
+
+  getNetworkLevels() {
+    return this.primary.getNetworkLevels();
+  }
+
+  getCustomerMap() {
+    return this.primary.getCustomerMap();
+  }
+
+  assignRole(round, chosenRoleId) {
+    // The player holds the same role for every product
+    const role = this.primary.assignRole(round, chosenRoleId);
+    const { mode } = this.playerRoleHistory[this.playerRoleHistory.length - 1];
+    this.products.slice(1).forEach(({ id }) => {
+      this.engines[id].recordRoleAssignment(round, role.id, mode);
+    });
+    return role;
+  }
+
+  getRoundState(round, roleId) {
+    const products = this.forEachEngine(engine => ({
+      ...engine.getRoundState(round, roleId),
+      forecast: engine.generateForecast(roleId, round)
+    }));
+    const states = Object.values(products);
+    const sum = key => states.reduce((total, state) => total + state[key], 0);
+    const known = states.every(state => state.pendingOrders.length > 0);
+
+    return {
+      inventory: sum('inventory'),
+      backlog: sum('backlog'),
+      fulfillmentMode: this.scenario.fulfillmentMode,
+      pendingOrders: known ? [states.reduce((total, state) => total + state.pendingOrders[0], 0)] : [],
+      incomingShipments: GameEngine.sumPipelines(states.map(state => state.incomingShipments)),
+      // Pipelines, production and shared data differ by product; see products
+      inTransit: null,
+      production: null,
+      shared: null,
+      orderHistory: GameEngine.sumPipelines(states.map(state => state.orderHistory)),
+      events: this.getActiveEvents(round),
+      totalRounds: this.scenario.rounds,
+      products
+    };
+  }
+
+  generateForecast(roleId, round, method) {
+    const ranges = Object.values(this.forEachEngine(engine => engine.generateForecast(roleId, round, method)));
+    return [0, 1].map(bound => ranges.reduce((total, range) => total + range[bound], 0));
+  }
+
+  forecastDemand(roleId, method, params) {
+    // One forecast per product
+    return this.forEachEngine(engine => engine.forecastDemand(roleId, method, params));
+  }
+
+  applySharedCapacity() {
+    // Split each shared line between products by what the materials on hand
+    // and arriving this round would let each of them make
+    Object.entries(this.scenario.sharedCapacity).forEach(([roleId, capacity]) => {
+      const possible = this.products.map(({ id, scenario }) => {
+        const engine = this.engines[id];
+        const perUnit = ScenarioLoader.getProduction(scenario, roleId).materials;
+        const arriving = engine.getSupplyLinks(roleId).reduce((total, link) => total + (link.shipments[0] || 0), 0);
+        return Math.floor((engine.entities[roleId].materials + arriving) / perUnit);
+      });
+      const limits = this.primary.allocate(capacity, possible);
+
+      this.products.forEach(({ id }, index) => {
+        this.engines[id].capacityLimits[roleId] = limits[index];
+      });
+    });
+  }
+
+  processRound(round, decisions = {}) {
+    // decisions map each role to { productId: quantity }
+    this.applySharedCapacity();
+    return this.forEachEngine((engine, productId) => {
+      const productDecisions = {};
+      Object.entries(decisions).forEach(([roleId, quantities]) => {
+        if (quantities?.[productId] !== undefined) productDecisions[roleId] = quantities[productId];
+      });
+      return engine.processRound(round, productDecisions);
+    });
+  }
+
+  processPlayerOrder(roleId, quantities, round, options = {}) {
+    this.applySharedCapacity();
+    const products = this.forEachEngine((engine, productId) => engine.processPlayerOrder(roleId, quantities[productId] ?? 0, round, options));
+    const sum = key => Object.values(products).reduce((total, result) => total + result[key], 0);
+
+    return {
+      newInventory: sum('newInventory'),
+      backlog: sum('backlog'),
+      stockoutCost: sum('stockoutCost'),
+      holdingCost: sum('holdingCost'),
+      backlogCost: sum('backlogCost'),
+      costs: CostModel.sum(Object.values(products).map(result => result.costs)),
+      fulfilled: sum('fulfilled'),
+      unfulfilled: sum('unfulfilled'),
+      products
+    };
+  }
+
+  getWaitingRoles() {
+    return this.primary.getWaitingRoles();
+  }
+
+  isRoundReady() {
+    return Object.values(this.engines).every(engine => engine.isRoundReady());
+  }
+
+  submitOrder(roleId, quantities, round, options = {}) {
+    this.forEachEngine((engine, productId) => engine.submitOrder(roleId, quantities[productId] ?? 0, round, options));
+    return this.getWaitingRoles();
+  }
+
+  getAutoOrder(roleId, round) {
+    // One fallback order per product
+    return this.forEachEngine(engine => engine.getAutoOrder(roleId, round));
+  }
+
+  advanceRound(round) {
+    const waiting = this.getWaitingRoles();
+    if (waiting.length > 0) {
+      throw new Error(`Still waiting for orders from: ${waiting.join(', ')}`);
+    }
+
+    this.applySharedCapacity();
+    return this.forEachEngine(engine => engine.advanceRound(round));
+  }
+
+  getSnapshot(round) {
+    // One frozen whole-chain snapshot per product
+    return GameEngine.deepFreeze({
+      round,
+      products: this.forEachEngine(engine => engine.getSnapshot(round))
+    });
+  }
+
+  getPlayerCosts(playerName) {
+    return CostModel.sum(Object.values(this.engines).map(engine => engine.getPlayerCosts(playerName)));
+  }
+
+  toJSON() {
+    return {
+      version: GameEngine.SAVE_VERSION,
+      kind: 'product-mix',
+      savedAt: new Date().toISOString(),
+      playerName: this.playerName,
+      roles: this.roles.map(({ id, name }) => ({ id, name })),
+      seed: this.seed,
+      scenario: this.scenario,
+      players: this.players,
+      roleAssignment: this.roleAssignment,
+      currentRound: this.currentRound,
+      events: this.timeline.toJSON(),
+      eventRngState: this.timeline.rng.getState(),
+      products: this.forEachEngine(engine => engine.toJSON())
+    };
+  }
+
+  static fromJSON(json, roles) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!data || data.kind !== 'product-mix') {
+      throw new Error('Not a saved multi-product game');
+    }
+
+    const mix = new ProductMix(roles || data.roles, data.playerName, {
+      seed: data.seed,
+      scenario: data.scenario,
+      players: data.players?.length ? data.players : undefined,
+      roleAssignment: data.roleAssignment
+    });
+
+    mix.timeline.restore(data.events);
+    mix.timeline.rng.setState(data.eventRngState);
+    mix.products.forEach(({ id }) => {
+      mix.engines[id] = GameEngine.fromJSON(data.products[id], roles);
+      mix.engines[id].timeline = mix.timeline;
+    });
+    mix.primary = mix.engines[mix.products[0].id];
+
+    return mix;
+  }
+
+  getFinalResults() {
+    const perProduct = this.forEachEngine(engine => engine.getFinalResults());
+    const all = Object.values(perProduct);
+    const keys = [
+      'totalCost', 'stockoutCosts', 'holdingCosts', 'backlogCosts', 'orderingCosts', 'purchaseCosts',
+      'transportCosts', 'revenue', 'profit', 'responsibilityScore', 'avgInventory'
+    ];
+
+    // Every product's costs added up per role
+    const rankings = all[0].rankings.map(({ roleId, role }) => {
+      const ranking = { roleId, role };
+      keys.forEach(key => {
+        ranking[key] = all.reduce((total, results) => total + results.rankings.find(r => r.roleId === roleId)[key], 0);
+      });
+      return ranking;
+    });
+    const score = ranking => CostModel.score({ total: ranking.totalCost, profit: ranking.profit }, this.scenario.scoring);
+    rankings.sort((a, b) => score(a) - score(b));
+
+    const entities = this.entities;
+    const reports = {};
+    this.roles.forEach(role => {
+      reports[role.id] = ScoreCalculator.generatePerformanceReport(entities[role.id], role.id, role.name);
+    });
+    const products = {};
+    this.products.forEach(({ id, name }) => {
+      const engine = this.engines[id];
+      products[id] = {
+        name,
+        rankings: perProduct[id].rankings,
+        bullwhipMetrics: ScoreCalculator.calculateBullwhipMetrics(engine.entities, engine.chain, engine.getCustomerMap())
+      };
+    });
+
+    return {
+      rankings,
+      inventoryHistory: Object.fromEntries(this.chain.map(roleId => [roleId, entities[roleId].inventoryHistory])),
+      orderHistory: Object.fromEntries(this.chain.map(roleId => [roleId, entities[roleId].orderHistory])),
+      placedOrderHistory: Object.fromEntries(this.chain.map(roleId => [roleId, entities[roleId].placedOrderHistory])),
+      reports,
+      playerRoleHistory: this.playerRoleHistory,
+      events: this.timeline.getLog(this.currentRound),
+      seed: this.seed,
+      scenario: this.scenario,
+      products
+    };
+  }
+}
+
+export default ProductMix;
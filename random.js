@@ -0,0 +1,51 @@
+// random.js
+// Seeded pseudo-random number generator so games can be replayed and compared
+
+export class SeededRandom {
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.seed = seed;
+    this.state = SeededRandom.hashSeed(seed);
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 0xFFFFFFFF);
+  }
+
+  static hashSeed(seed) {
+    // Numbers are used as-is, strings (e.g. "class-3B") are hashed with FNV-1a
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return seed >>> 0;
+    }
+
+    let hash = 0x811C9DC5;
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  next() {
+    // Mulberry32: fast, 32-bit state, good enough for game randomness
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  nextInt(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state >>> 0;
+  }
+}
+
+export default SeededRandom;
@@ -0,0 +1,526 @@
+// scenario-loader.js
+// Loads and validates the scenario definitions that drive a game
+
+import { CostModel } from './cost-model.js';
+import { DemandModels } from './demand-models.js';
+import { PlayerLogic } from './player-logic.js';
+
+export class ScenarioLoader {
+  static FULFILLMENT_MODES = ['lost-sales', 'backlog'];
+  // Each level shares everything the previous one does
+  static VISIBILITY_LEVELS = ['none', 'customer-demand', 'upstream-inventory', 'full'];
+  // How a node short of stock splits it between several customers
+  static ALLOCATION_RULES = ['proportional', 'priority'];
+  // Whether roles are ranked on lowest cost or highest profit
+  static SCORING_MODES = ['cost', 'profit'];
+  // Disruptions that can hit a round; see events below
+  static EVENT_TYPES = ['shutdown', 'port-delay', 'demand-shock', 'lost-shipment'];
+
+  static DEFAULT_SCENARIO = {
+    name: 'Classic 20-Week Game',
+    rounds: 20,
+    demandPhases: [
+      { label: 'Stable low demand', rounds: 5, min: 4, max: 6, volatility: 0.1 },
+      { label: 'Gradual increase', rounds: 4, min: 5, max: 7, step: 1, volatility: 0.15 },
+      { label: 'Peak demand', rounds: 3, min: 8, max: 12, volatility: 0.2 },
+      { label: 'Sharp drop', rounds: 3, min: 6, max: 8, step: -1, volatility: 0.15 },
+      { label: 'Stabilization', rounds: 3, min: 4, max: 6, volatility: 0.1 },
+      { label: 'Final spike', rounds: 2, min: 7, max: 10, volatility: 0.2 }
+    ],
+    // How end-customer demand is generated: { type, params } naming a
+    // registered demand model (see DemandModels.list()). 'phases' plays the
+    // demandPhases above; other models ignore them.
+    demand: { type: DemandModels.DEFAULT_MODEL },
+    startingInventory: {
+      default: 12
+    },
+    // 'lost-sales' drops unfilled demand, 'backlog' carries it forward
+    fulfillmentMode: 'lost-sales',
+    // What each echelon can see beyond its own stock: 'none',
+    // 'customer-demand' (point-of-sale data shared with every echelon),
+    // 'upstream-inventory' (plus stock levels of its suppliers) or 'full'
+    visibility: 'none',
+    // Rates for the cost model; see CostModel.DEFAULT_RATES for what each
+    // one charges. With revenue set, games can be scored on profit.
+    costs: { ...CostModel.DEFAULT_RATES },
+    scoring: 'cost',
+    leadTimes: {
+      // Rounds an order takes to reach the supplier, and goods to reach the customer
+      order: 1,
+      shipping: 2,
+      // Units sitting in every pipeline slot when the game starts
+      initialInTransit: 0,
+      // Per-link overrides keyed "upstream->downstream", e.g. "source->supplier"
+      links: {}
+    },
+    // Roles that make goods rather than resell them, keyed by role id:
+    // { capacity: units per round (null = unlimited), leadTime: rounds on the
+    // line, materials: upstream units consumed per unit made }
+    production: {},
+    // The external source feeding the most upstream role; capacity caps what
+    // it can ship per round (null = unlimited)
+    source: {
+      capacity: null
+    },
+    // Supply network as nodes and "from" (upstream) -> "to" (downstream)
+    // links; null plays the game's roles as a single line. Nodes without
+    // customers face end-customer demand, split by demandShare; nodes without
+    // suppliers buy from the source; a link's share is the part of its
+    // downstream node's orders sent that way. Allocation decides who gets
+    // stock when a node cannot serve all its customers.
+    network: null,
+    // Products (SKUs) sharing the network. Each product is { id, name } plus
+    // any scenario fields it sets differently (demand, demandPhases, costs,
+    // leadTimes, startingInventory, production); the rest is inherited.
+    // An empty list plays a single product.
+    products: [],
+    // Production capacity per round that a role splits between products
+    sharedCapacity: {},
+    // Disruptions, each lasting `duration` rounds (default 1) from `round`:
+    // { type: 'shutdown', role } stops a producer's line (or the source),
+    // { type: 'port-delay', role, extraDelay } slows shipments to a role
+    // (every role when omitted), { type: 'demand-shock', multiplier } scales
+    // end-customer demand, { type: 'lost-shipment', role, share } loses that
+    // part (default all) of what arrives at a role
+    events: [],
+    // The same events without a round, drawn each round with `probability`
+    randomEvents: [],
+    // Optional countdown per turn: seconds = null waits for the player;
+    // when time runs out the autoSubmit strategy (see PlayerLogic.STRATEGIES)
+    // orders for them
+    timer: {
+      seconds: null,
+      autoSubmit: PlayerLogic.STRATEGIES.BALANCED
+    },
+    // Ordering agent per role for roles no human plays: an agent id or
+    // { "type": id, "params": {...} }; "default" covers unlisted roles
+    agents: {
+      default: 'classic'
+    }
+  };
+
+  static fromJSON(json) {
+    let data;
+    try {
+      data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+      throw new Error(`Scenario is not valid JSON: ${error.message}`);
+    }
+
+    return ScenarioLoader.load(data);
+  }
+
+  static async fromURL(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Could not load scenario from ${url} (HTTP ${response.status})`);
+    }
+    return ScenarioLoader.fromJSON(await response.text());
+  }
+
+  static load(data = ScenarioLoader.DEFAULT_SCENARIO) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Scenario must be a JSON object');
+    }
+
+    const scenario = ScenarioLoader.withDefaults(data);
+    const errors = ScenarioLoader.validate(scenario);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid scenario "${scenario.name}":\n- ${errors.join('\n- ')}`);
+    }
+
+    return scenario;
+  }
+
+  static withDefaults(data) {
+    const defaults = ScenarioLoader.DEFAULT_SCENARIO;
+
+    return {
+      ...defaults,
+      ...data,
+      name: data.name ?? 'Custom Scenario',
+      startingInventory: typeof data.startingInventory === 'number'
+        ? { default: data.startingInventory }
+        : { ...defaults.startingInventory, ...data.startingInventory },
+      demand: data.demand ?? defaults.demand,
+      costs: { ...defaults.costs, ...data.costs },
+      leadTimes: {
+        ...defaults.leadTimes,
+        ...data.leadTimes,
+        links: { ...data.leadTimes?.links }
+      },
+      network: data.network ? { allocation: 'proportional', links: [], ...data.network } : null,
+      production: { ...data.production },
+      source: { ...defaults.source, ...data.source },
+      products: data.products ?? [],
+      sharedCapacity: { ...data.sharedCapacity },
+      events: data.events ?? [],
+      randomEvents: data.randomEvents ?? [],
+      timer: { ...defaults.timer, ...data.timer },
+      agents: { ...defaults.agents, ...data.agents }
+    };
+  }
+
+  static validate(scenario) {
+    const errors = [];
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    const isRate = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+    if (typeof scenario.name !== 'string' || scenario.name.trim() === '') {
+      errors.push('name must be a non-empty string');
+    }
+
+    if (!Number.isInteger(scenario.rounds) || scenario.rounds < 1) {
+      errors.push('rounds must be a positive integer');
+    }
+
+    errors.push(...DemandModels.validate(scenario.demand, scenario));
+
+    // Phases only matter to the 'phases' demand model
+    const usesPhases = scenario.demand?.type === 'phases';
+    if (usesPhases && (!Array.isArray(scenario.demandPhases) || scenario.demandPhases.length === 0)) {
+      errors.push('demandPhases must be a non-empty array');
+    } else if (usesPhases) {
+      scenario.demandPhases.forEach((phase, index) => {
+        const where = `demandPhases[${index}]`;
+        if (!Number.isInteger(phase.rounds) || phase.rounds < 1) {
+          errors.push(`${where}.rounds must be a positive integer`);
+        }
+        if (!isCount(phase.min) || !isCount(phase.max) || phase.min > phase.max) {
+          errors.push(`${where} needs whole-number min <= max, both >= 0`);
+        }
+        if (phase.step !== undefined && !Number.isInteger(phase.step)) {
+          errors.push(`${where}.step must be an integer`);
+        }
+        if (phase.volatility !== undefined && !(isRate(phase.volatility) && phase.volatility <= 1)) {
+          errors.push(`${where}.volatility must be between 0 and 1`);
+        }
+      });
+
+      const phaseRounds = scenario.demandPhases.reduce((sum, phase) => sum + (phase.rounds || 0), 0);
+      if (Number.isInteger(scenario.rounds) && phaseRounds !== scenario.rounds) {
+        errors.push(`demandPhases cover ${phaseRounds} rounds but the scenario has ${scenario.rounds}`);
+      }
+    }
+
+    if (!ScenarioLoader.FULFILLMENT_MODES.includes(scenario.fulfillmentMode)) {
+      errors.push(`fulfillmentMode must be one of: ${ScenarioLoader.FULFILLMENT_MODES.join(', ')}`);
+    }
+
+    if (!ScenarioLoader.SCORING_MODES.includes(scenario.scoring)) {
+      errors.push(`scoring must be one of: ${ScenarioLoader.SCORING_MODES.join(', ')}`);
+    }
+
+    if (!ScenarioLoader.VISIBILITY_LEVELS.includes(scenario.visibility)) {
+      errors.push(`visibility must be one of: ${ScenarioLoader.VISIBILITY_LEVELS.join(', ')}`);
+    }
+
+    Object.entries(scenario.startingInventory).forEach(([roleId, quantity]) => {
+      if (!isCount(quantity)) {
+        errors.push(`startingInventory.${roleId} must be a whole number >= 0`);
+      }
+    });
+
+    Object.entries(scenario.costs).forEach(([type, rate]) => {
+      if (!(type in CostModel.DEFAULT_RATES)) {
+        errors.push(`costs.${type} is not a known rate (${Object.keys(CostModel.DEFAULT_RATES).join(', ')})`);
+      } else if (!isRate(rate)) {
+        errors.push(`costs.${type} must be a number >= 0`);
+      }
+    });
+
+    const validateLeadTimes = (leadTimes, where) => {
+      if (leadTimes.order !== undefined && !isCount(leadTimes.order)) {
+        errors.push(`${where}.order must be an integer >= 0`);
+      }
+      if (leadTimes.shipping !== undefined && !(Number.isInteger(leadTimes.shipping) && leadTimes.shipping >= 1)) {
+        errors.push(`${where}.shipping must be an integer >= 1`);
+      }
+    };
+
+    validateLeadTimes(scenario.leadTimes, 'leadTimes');
+    if (!isCount(scenario.leadTimes.initialInTransit)) {
+      errors.push('leadTimes.initialInTransit must be a whole number >= 0');
+    }
+    Object.entries(scenario.leadTimes.links).forEach(([linkId, leadTimes]) => {
+      validateLeadTimes(leadTimes || {}, `leadTimes.links["${linkId}"]`);
+    });
+
+    if (scenario.network !== null) {
+      errors.push(...ScenarioLoader.validateNetwork(scenario.network));
+    }
+
+    const isCapacity = value => value === null || isCount(value);
+
+    Object.entries(scenario.production).forEach(([roleId, production]) => {
+      const where = `production.${roleId}`;
+      if (!production || typeof production !== 'object') {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (!isCapacity(production.capacity ?? null)) {
+        errors.push(`${where}.capacity must be a whole number >= 0 or null`);
+      }
+      if (production.leadTime !== undefined && !(Number.isInteger(production.leadTime) && production.leadTime >= 1)) {
+        errors.push(`${where}.leadTime must be an integer >= 1`);
+      }
+      if (production.materials !== undefined && !(isRate(production.materials) && production.materials > 0)) {
+        errors.push(`${where}.materials must be a number > 0`);
+      }
+    });
+
+    if (!isCapacity(scenario.source.capacity)) {
+      errors.push('source.capacity must be a whole number >= 0 or null');
+    }
+
+    if (!Array.isArray(scenario.products)) {
+      errors.push('products must be an array');
+    } else {
+      const productIds = new Set();
+      scenario.products.forEach((product, index) => {
+        const where = `products[${index}]`;
+        if (typeof product?.id !== 'string' || product.id === '') {
+          errors.push(`${where}.id must be a non-empty string`);
+          return;
+        }
+        if (productIds.has(product.id)) {
+          errors.push(`${where}.id "${product.id}" is used twice`);
+        }
+        productIds.add(product.id);
+        if (typeof product.name !== 'string' || product.name.trim() === '') {
+          errors.push(`${where}.name must be a non-empty string`);
+        }
+        ScenarioLoader.validate(ScenarioLoader.buildProductScenario(scenario, product)).forEach(error => {
+          errors.push(`${where} (${product.id}): ${error}`);
+        });
+      });
+    }
+
+    Object.entries(scenario.sharedCapacity).forEach(([roleId, capacity]) => {
+      if (!isCount(capacity)) {
+        errors.push(`sharedCapacity.${roleId} must be a whole number >= 0`);
+      }
+    });
+
+    if (!Array.isArray(scenario.events)) {
+      errors.push('events must be an array');
+    } else {
+      scenario.events.forEach((event, index) => {
+        const where = `events[${index}]`;
+        if (!(Number.isInteger(event?.round) && event.round >= 1 && event.round <= scenario.rounds)) {
+          errors.push(`${where}.round must be a round of the game`);
+        }
+        errors.push(...ScenarioLoader.validateEvent(event, where));
+      });
+    }
+
+    if (!Array.isArray(scenario.randomEvents)) {
+      errors.push('randomEvents must be an array');
+    } else {
+      scenario.randomEvents.forEach((event, index) => {
+        const where = `randomEvents[${index}]`;
+        if (!(isRate(event?.probability) && event.probability > 0 && event.probability <= 1)) {
+          errors.push(`${where}.probability must be a number > 0 and <= 1`);
+        }
+        errors.push(...ScenarioLoader.validateEvent(event, where));
+      });
+    }
+
+    const { seconds, autoSubmit } = scenario.timer;
+    if (seconds !== null && !(Number.isInteger(seconds) && seconds >= 1)) {
+      errors.push('timer.seconds must be a whole number >= 1 or null');
+    }
+    if (!Object.values(PlayerLogic.STRATEGIES).includes(autoSubmit)) {
+      errors.push(`timer.autoSubmit must be one of: ${Object.values(PlayerLogic.STRATEGIES).join(', ')}`);
+    }
+
+    Object.entries(scenario.agents).forEach(([roleId, spec]) => {
+      const type = typeof spec === 'string' ? spec : spec?.type;
+      if (typeof type !== 'string' || type === '') {
+        errors.push(`agents.${roleId} must be an agent id or { type, params }`);
+      } else if (spec.params !== undefined && (typeof spec.params !== 'object' || spec.params === null)) {
+        errors.push(`agents.${roleId}.params must be an object`);
+      }
+    });
+
+    return errors;
+  }
+
+  static validateEvent(event, where) {
+    const errors = [];
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    if (!ScenarioLoader.EVENT_TYPES.includes(event?.type)) {
+      return [`${where}.type must be one of: ${ScenarioLoader.EVENT_TYPES.join(', ')}`];
+    }
+    if (event.duration !== undefined && !(Number.isInteger(event.duration) && event.duration >= 1)) {
+      errors.push(`${where}.duration must be an integer >= 1`);
+    }
+    const needsRole = ['shutdown', 'lost-shipment'].includes(event.type);
+    if ((needsRole || event.role !== undefined) && (typeof event.role !== 'string' || event.role === '')) {
+      errors.push(`${where}.role must be a role id`);
+    }
+    if (event.type === 'port-delay' && !(Number.isInteger(event.extraDelay) && event.extraDelay >= 1)) {
+      errors.push(`${where}.extraDelay must be an integer >= 1`);
+    }
+    if (event.type === 'demand-shock' && !(isNumber(event.multiplier) && event.multiplier >= 0)) {
+      errors.push(`${where}.multiplier must be a number >= 0`);
+    }
+    if (event.type === 'lost-shipment' && event.share !== undefined && !(isNumber(event.share) && event.share > 0 && event.share <= 1)) {
+      errors.push(`${where}.share must be a number > 0 and <= 1`);
+    }
+
+    return errors;
+  }
+
+  static validateNetwork(network) {
+    const errors = [];
+    const isShare = value => value === undefined || (typeof value === 'number' && Number.isFinite(value) && value > 0);
+
+    if (!Array.isArray(network.nodes) || network.nodes.length === 0) {
+      return ['network.nodes must be a non-empty array'];
+    }
+    if (!Array.isArray(network.links)) {
+      return ['network.links must be an array'];
+    }
+
+    const ids = new Set();
+    network.nodes.forEach((node, index) => {
+      const where = `network.nodes[${index}]`;
+      if (typeof node?.id !== 'string' || node.id === '' || node.id === 'source') {
+        errors.push(`${where}.id must be a non-empty string other than "source"`);
+      } else if (ids.has(node.id)) {
+        errors.push(`${where}.id "${node.id}" is used twice`);
+      }
+      ids.add(node?.id);
+      if (typeof node?.name !== 'string' || node.name.trim() === '') {
+        errors.push(`${where}.name must be a non-empty string`);
+      }
+      if (node?.type !== undefined && typeof node.type !== 'string') {
+        errors.push(`${where}.type must be a string`);
+      }
+      if (!isShare(node?.demandShare)) {
+        errors.push(`${where}.demandShare must be a number > 0`);
+      }
+    });
+
+    const pairs = new Set();
+    network.links.forEach((link, index) => {
+      const where = `network.links[${index}]`;
+      if (!ids.has(link?.from) || !ids.has(link?.to)) {
+        errors.push(`${where} must link two known nodes`);
+      } else if (link.from === link.to) {
+        errors.push(`${where} links ${link.from} to itself`);
+      } else if (pairs.has(`${link.from}->${link.to}`)) {
+        errors.push(`${where} duplicates ${link.from}->${link.to}`);
+      }
+      pairs.add(`${link?.from}->${link?.to}`);
+      if (!isShare(link?.share)) {
+        errors.push(`${where}.share must be a number > 0`);
+      }
+    });
+
+    if (!ScenarioLoader.ALLOCATION_RULES.includes(network.allocation)) {
+      errors.push(`network.allocation must be one of: ${ScenarioLoader.ALLOCATION_RULES.join(', ')}`);
+    }
+
+    if (errors.length === 0 && ScenarioLoader.orderNetwork(network) === null) {
+      errors.push('network links must not form a cycle');
+    }
+
+    return errors;
+  }
+
+  static getNetwork(scenario, roles) {
+    // Without a network the roles form one line, listed downstream first
+    if (scenario.network === null) {
+      return {
+        nodes: roles.map(({ id, name, type }) => ({ id, name, type: type ?? id, demandShare: 1 })),
+        links: roles.slice(1).map((role, index) => ({ from: role.id, to: roles[index].id, share: 1 })),
+        allocation: 'proportional'
+      };
+    }
+
+    const { nodes, links, allocation } = scenario.network;
+    return {
+      nodes: nodes.map(({ id, name, type, demandShare }) => ({ id, name, type: type ?? id, demandShare: demandShare ?? 1 })),
+      links: links.map(({ from, to, share }) => ({ from, to, share: share ?? 1 })),
+      allocation
+    };
+  }
+
+  static orderNetwork(network) {
+    // Customers before their suppliers, keeping node order among equals;
+    // null when the links contain a cycle
+    const order = [];
+    const remaining = network.nodes.map(node => node.id);
+
+    while (remaining.length > 0) {
+      const next = remaining.find(id => network.links.every(link => link.from !== id || order.includes(link.to)));
+      if (next === undefined) return null;
+      order.push(next);
+      remaining.splice(remaining.indexOf(next), 1);
+    }
+
+    return order;
+  }
+
+  static buildProductScenario(scenario, product) {
+    // A product is played as its own scenario: the parent's settings with
+    // the product's overrides on top
+    const { id, name, ...overrides } = product;
+
+    return ScenarioLoader.withDefaults({
+      ...scenario,
+      ...overrides,
+      name: `${scenario.name} · ${name}`,
+      startingInventory: typeof overrides.startingInventory === 'number'
+        ? { default: overrides.startingInventory }
+        : { ...scenario.startingInventory, ...overrides.startingInventory },
+      costs: { ...scenario.costs, ...overrides.costs },
+      leadTimes: {
+        ...scenario.leadTimes,
+        ...overrides.leadTimes,
+        links: { ...scenario.leadTimes.links, ...overrides.leadTimes?.links }
+      },
+      production: { ...scenario.production, ...overrides.production },
+      products: [],
+      sharedCapacity: {}
+    });
+  }
+
+  static getProducts(scenario) {
+    if (scenario.products.length === 0) {
+      return [{ id: 'product', name: scenario.name, scenario }];
+    }
+
+    return scenario.products.map(product => ({
+      id: product.id,
+      name: product.name,
+      scenario: ScenarioLoader.buildProductScenario(scenario, product)
+    }));
+  }
+
+  static getStartingInventory(scenario, roleId) {
+    return scenario.startingInventory[roleId] ?? scenario.startingInventory.default ?? 0;
+  }
+
+  static getProduction(scenario, roleId) {
+    // null for roles that only resell
+    const production = scenario.production[roleId];
+    if (!production) return null;
+
+    return {
+      capacity: production.capacity ?? null,
+      leadTime: production.leadTime ?? 1,
+      materials: production.materials ?? 1
+    };
+  }
+
+  static buildDemandTrend(scenario) {
+    return DemandModels.buildPhaseTrend(scenario.demandPhases);
+  }
+}
+
+export default ScenarioLoader;
@@ -1,51 +1,62 @@
 // score-calculator.js
 // Calculates scores, costs, and performance metrics
 
-export class ScoreCalculator {
-  static COST_STOCKOUT = 1.0;
-  static COST_HOLDING = 0.5;
+import { ScenarioLoader } from './scenario-loader.js';
+import { CostModel } from './cost-model.js';
 
-  static calculateRoundCosts(inventory, unfulfilled) {
-    return {
-      stockout: unfulfilled * ScoreCalculator.COST_STOCKOUT,
-      holding: inventory * ScoreCalculator.COST_HOLDING,
-      total: (unfulfilled * ScoreCalculator.COST_STOCKOUT) + (inventory * ScoreCalculator.COST_HOLDING)
-    };
+export class ScoreCalculator {
+  static calculateRoundCosts(inventory, unfulfilled, costModel = new CostModel(), activity = {}) {
+    // activity adds what else happened in the round: backlog, ordered,
+    // received and shipped units
+    return costModel.calculateRound({ inventory, lost: unfulfilled, ...activity });
   }
 
   static calculateTotalCosts(costHistory) {
-    return costHistory.reduce((total, round) => ({
-      stockout: total.stockout + round.stockout,
-      holding: total.holding + round.holding,
-      total: total.total + round.total
-    }), { stockout: 0, holding: 0, total: 0 });
+    return CostModel.sum(costHistory);
   }
 
-  static calculateResponsibilityScore(roleId, entities, roleOrder) {
-    const roleIndex = roleOrder.indexOf(roleId);
+  static calculateResponsibilityScore(roleId, entities, roleOrder, routes = null) {
+    // Counts the units short at a role that turn up as shortages further down
+    // once its missing shipments would have arrived. routes gives a network's
+    // customers per role and shipping delays per "up->down" link; without it
+    // roleOrder is a single line, most downstream role first, shipping in 2 rounds.
     const entity = entities[roleId];
     
-    if (!entity) return 0;
+    if (!entity?.stockoutHistory) return 0;
+    
+    const customersOf = id => {
+      if (routes) return routes.customers[id] || [];
+      const index = roleOrder.indexOf(id);
+      return index > 0 ? [roleOrder[index - 1]] : [];
+    };
+    const delayOf = (upstream, downstream) => routes?.delays?.[`${upstream}->${downstream}`] ?? 2;
+    
+    // Every role downstream, with the shortest time a shortage takes to reach it
+    const delays = {};
+    const queue = [{ id: roleId, delay: 0 }];
+    while (queue.length > 0) {
+      const { id, delay } = queue.shift();
+      customersOf(id).forEach(customerId => {
+        const arrives = delay + delayOf(id, customerId);
+        if (delays[customerId] === undefined || arrives < delays[customerId]) {
+          delays[customerId] = arrives;
+          queue.push({ id: customerId, delay: arrives });
+        }
+      });
+    }
     
     let responsibilityScore = 0;
     
-    // For each round where this entity had stockouts
-    entity.stockoutHistory?.forEach((stockout, round) => {
-      if (stockout > 0) {
-        // Check if downstream entities also had stockouts in subsequent rounds
-        for (let i = roleIndex - 1; i >= 0; i--) {
-          const downstreamId = roleOrder[i];
-          const downstreamEntity = entities[downstreamId];
-          
-          // Check rounds after this one (due to delay)
-          const affectedRound = round + (roleIndex - i) * 2; // Account for shipment delays
-          
-          if (downstreamEntity.stockoutHistory?.[affectedRound] > 0) {
-            // This entity's stockout likely contributed to downstream stockout
-            responsibilityScore += Math.min(stockout, downstreamEntity.stockoutHistory[affectedRound]);
-          }
+    entity.stockoutHistory.forEach((stockout, round) => {
+      if (stockout <= 0) return;
+      
+      Object.entries(delays).forEach(([downstreamId, delay]) => {
+        const downstreamStockout = entities[downstreamId]?.stockoutHistory?.[round + delay];
+        if (downstreamStockout > 0) {
+          // This entity's stockout likely contributed to downstream stockout
+          responsibilityScore += Math.min(stockout, downstreamStockout);
         }
-      }
+      });
     });
     
     return responsibilityScore;
@@ -105,6 +116,7 @@ export class ScoreCalculator {
         totalCosts: totalCosts.total,
         stockoutCosts: totalCosts.stockout,
         holdingCosts: totalCosts.holding,
+        backlogCosts: totalCosts.backlog,
         avgInventory,
         maxInventory,
         minInventory,
@@ -122,29 +134,34 @@ export class ScoreCalculator {
     };
   }
 
-  static rankEntities(entities, roleOrder) {
+  static rankEntities(entities, roleOrder, scoring = 'cost', routes = null) {
     const rankings = Object.keys(entities).map(roleId => {
       const entity = entities[roleId];
-      const totalCosts = entity.stockoutCosts + entity.holdingCosts;
+      const summary = CostModel.summarize(entity);
       
       return {
         roleId,
         roleName: roleOrder.find(r => r === roleId) || roleId,
-        totalCosts,
-        stockoutCosts: entity.stockoutCosts,
-        holdingCosts: entity.holdingCosts,
+        totalCosts: summary.total,
+        stockoutCosts: summary.stockout,
+        holdingCosts: summary.holding,
+        backlogCosts: summary.backlog,
+        revenue: summary.revenue,
+        profit: summary.profit,
         responsibilityScore: ScoreCalculator.calculateResponsibilityScore(
           roleId,
           entities,
-          roleOrder
+          roleOrder,
+          routes
         ),
         avgInventory: entity.inventoryHistory.reduce((a, b) => a + b, 0) / entity.inventoryHistory.length,
         totalStockouts: entity.unfulfilledDemand
       };
     });
 
-    // Sort by total costs (ascending - lower is better)
-    rankings.sort((a, b) => a.totalCosts - b.totalCosts);
+    // Best first: lowest total costs, or highest profit when scored on profit
+    const score = rank => CostModel.score({ total: rank.totalCosts, profit: rank.profit }, scoring);
+    rankings.sort((a, b) => score(a) - score(b));
     
     return rankings.map((rank, index) => ({
       ...rank,
@@ -152,37 +169,52 @@ export class ScoreCalculator {
     }));
   }
 
-  static calculateBullwhipMetrics(entities, roleOrder) {
+  static calculateBullwhipMetrics(entities, roleOrder, customers = null) {
+    // Bullwhip is the variance of the orders a role places over the variance
+    // of the demand it receives (bullwhipRatio), and over the variance of
+    // end-customer demand (endCustomerRatio). Orders count in units of the
+    // product, so a producer's are the units it ordered materials for. A ratio
+    // against demand that never varied is null: it has no meaning. customers
+    // maps each role to its direct customers in a network, to find the roles
+    // facing end customers; without it roleOrder is a single line with the
+    // most downstream role first.
     const metrics = {};
+    const variance = series => {
+      const mean = series.reduce((a, b) => a + b, 0) / (series.length || 1);
+      return series.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (series.length || 1);
+    };
     
-    roleOrder.forEach((roleId, index) => {
+    const retailIds = customers
+      ? roleOrder.filter(roleId => (customers[roleId] || []).length === 0)
+      : roleOrder.slice(0, 1);
+    const rounds = Math.max(0, ...retailIds.map(id => entities[id]?.orderHistory?.length || 0));
+    const endCustomerDemand = Array.from({ length: rounds }, (_, round) => retailIds.reduce(
+      (sum, id) => sum + (entities[id]?.orderHistory?.[round] || 0),
+      0
+    ));
+    const endCustomerVariance = variance(endCustomerDemand);
+    
+    roleOrder.forEach(roleId => {
       const entity = entities[roleId];
-      if (!entity || !entity.orderHistory || entity.orderHistory.length === 0) {
-        metrics[roleId] = { variance: 0, ratio: 1 };
+      if (!entity || !entity.orderedUnitsHistory || entity.orderedUnitsHistory.length === 0) {
+        metrics[roleId] = { variance: 0, bullwhipRatio: 1, endCustomerRatio: 1 };
         return;
       }
       
-      const orders = entity.orderHistory;
+      const orders = entity.orderedUnitsHistory;
       const mean = orders.reduce((a, b) => a + b, 0) / orders.length;
-      const variance = orders.reduce((sum, order) => {
-        return sum + Math.pow(order - mean, 2);
-      }, 0) / orders.length;
+      const orderVariance = variance(orders);
+      const demandVariance = variance(entity.orderHistory);
       
       metrics[roleId] = {
         mean,
-        variance,
-        stdDev: Math.sqrt(variance),
-        coefficientOfVariation: mean > 0 ? Math.sqrt(variance) / mean : 0
+        variance: orderVariance,
+        stdDev: Math.sqrt(orderVariance),
+        coefficientOfVariation: mean > 0 ? Math.sqrt(orderVariance) / mean : 0,
+        demandVariance,
+        bullwhipRatio: demandVariance > 0 ? orderVariance / demandVariance : null,
+        endCustomerRatio: endCustomerVariance > 0 ? orderVariance / endCustomerVariance : null
       };
-      
-      // Calculate bullwhip ratio (variance ratio between adjacent stages)
-      if (index > 0) {
-        const downstreamRoleId = roleOrder[index - 1];
-        const downstreamVariance = metrics[downstreamRoleId]?.variance || 1;
-        metrics[roleId].bullwhipRatio = variance / (downstreamVariance || 1);
-      } else {
-        metrics[roleId].bullwhipRatio = 1;
-      }
     });
     
     return metrics;
@@ -249,7 +281,8 @@ export class ScoreCalculator {
     
     // Cost distribution insight
     const avgStockoutRatio = rankings.reduce((sum, r) => {
-      return sum + (r.stockoutCosts / (r.stockoutCosts + r.holdingCosts));
+      const shortageCosts = r.stockoutCosts + (r.backlogCosts || 0);
+      return sum + (shortageCosts / (shortageCosts + r.holdingCosts || 1));
     }, 0) / rankings.length;
     
     if (avgStockoutRatio > 0.7) {
@@ -269,12 +302,13 @@ export class ScoreCalculator {
     return insights;
   }
 
-  static exportResults(entities, rankings, bullwhipMetrics, playerName) {
+  static exportResults(entities, rankings, bullwhipMetrics, playerName, scenario = ScenarioLoader.DEFAULT_SCENARIO) {
     return {
       timestamp: new Date().toISOString(),
       playerName,
+      scenario: scenario.name,
       summary: {
-        totalRounds: 20,
+        totalRounds: scenario.rounds,
         rankings: rankings.map(r => ({
           rank: r.rank,
           role: r.roleName,
@@ -287,6 +321,7 @@ export class ScoreCalculator {
           role: r.roleName,
           stockoutCosts: r.stockoutCosts,
           holdingCosts: r.holdingCosts,
+          backlogCosts: r.backlogCosts || 0,
           total: r.totalCosts
         })),
         bullwhipEffect: bullwhipMetrics,
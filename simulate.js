@@ -0,0 +1,192 @@
+// simulate.js
+// Command-line entry point for headless batch simulations (Node 20.19+ / 22+)
+//
+//   node simulate.js --scenario scenarios/year-52.json --seeds 1-1000 \
+//     --agent default=classic --agent retailer=lean --format csv --out results.csv
+//
+// Options:
+//   --scenario <file>     scenario JSON (defaults to the classic 20-week game)
+//   --seeds <from-to>     seed range, e.g. 1-500 (default 1-100)
+//   --visibility <level>  information sharing level, overriding the scenario's
+//   --demand <file>       CSV of end-customer demand to replay, one row per round
+//                         (the game runs as many rounds as there are rows)
+//   --demand-column <col> CSV column to read, by header name or by number counting
+//                         from 1 (default last column)
+//   --agent <role=id>     agent for a role; "default" covers unlisted roles (repeatable)
+//   --percentiles <list>  comma-separated percentiles to report (default 5,50,95)
+//   --format <json|csv>   output format (default json)
+//   --keep-runs           include every individual run in JSON output
+//   --out <file>          write to a file instead of stdout
+//
+// Strategy tournaments (see tournament.js):
+//
+//   node simulate.js --tournament --seeds 1-30 --register my-strategies.js \
+//     --scenario scenarios/short-12.json --scenario scenarios/season-36.json
+//
+//   --tournament          rank every registered agent instead of running a batch;
+//                         --scenario may then be given more than once
+//   --entrants <list>     comma-separated agents to enter (default all registered)
+//   --register <file>     module that registers custom agents with AgentRegistry
+//                         before the tournament (repeatable)
+//   --rank-by <metric>    chainCost, roleCost or bullwhipRatio (default chainCost)
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { BatchRunner } from './batch-runner.js';
+import { Tournament } from './tournament.js';
+import { ScenarioLoader } from './scenario-loader.js';
+import { DemandModels } from './demand-models.js';
+
+const parseArgs = (argv) => {
+  const args = {
+    agents: {}, seeds: '1-100', format: 'json', percentiles: [5, 50, 95], keepRuns: false,
+    scenarios: [], tournament: false, register: [], rankBy: 'chainCost'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = argv[i + 1];
+
+    switch (flag) {
+      case '--scenario':
+        args.scenarios.push(value);
+        i++;
+        break;
+      case '--seeds':
+        args.seeds = value;
+        i++;
+        break;
+      case '--visibility':
+        args.visibility = value;
+        i++;
+        break;
+      case '--demand':
+        args.demand = value;
+        i++;
+        break;
+      case '--demand-column':
+        // Digits pick the column by position, anything else by header name
+        if (!value || value === '0') throw new Error(`--demand-column expects a header name or a column number from 1, got "${value}"`);
+        args.demandColumn = /^\d+$/.test(value) ? Number(value) - 1 : value;
+        i++;
+        break;
+      case '--agent': {
+        const [roleId, agentId] = (value || '').split('=');
+        if (!roleId || !agentId) throw new Error(`--agent expects role=agent, got "${value}"`);
+        args.agents[roleId] = agentId;
+        i++;
+        break;
+      }
+      case '--percentiles': {
+        const parts = (value || '').split(',');
+        if (parts.some(part => part.trim() === '' || !(Number(part) >= 0 && Number(part) <= 100))) {
+          throw new Error(`--percentiles expects comma-separated numbers from 0 to 100, got "${value}"`);
+        }
+        args.percentiles = parts.map(Number);
+        i++;
+        break;
+      }
+      case '--format':
+        args.format = value;
+        i++;
+        break;
+      case '--keep-runs':
+        args.keepRuns = true;
+        break;
+      case '--out':
+        args.out = value;
+        i++;
+        break;
+      case '--tournament':
+        args.tournament = true;
+        break;
+      case '--entrants':
+        if (!value || value.startsWith('--')) throw new Error(`--entrants expects comma-separated agents, got "${value}"`);
+        args.entrants = value.split(',');
+        i++;
+        break;
+      case '--register':
+        args.register.push(value);
+        i++;
+        break;
+      case '--rank-by':
+        args.rankBy = value;
+        i++;
+        break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (!['json', 'csv'].includes(args.format)) {
+    throw new Error('--format must be json or csv');
+  }
+  if (args.scenarios.length > 1 && !args.tournament) {
+    throw new Error('--scenario can only be given more than once with --tournament');
+  }
+
+  return args;
+};
+
+try {
+  const args = parseArgs(process.argv.slice(2));
+  const baseScenarios = args.scenarios.length > 0
+    ? args.scenarios.map(file => ScenarioLoader.fromJSON(readFileSync(file, 'utf8')))
+    : [ScenarioLoader.load()];
+  const overrides = {};
+  if (args.visibility) {
+    overrides.visibility = args.visibility;
+  }
+  if (args.demand) {
+    const values = DemandModels.parseTrace(readFileSync(args.demand, 'utf8'), args.demandColumn ?? null);
+    overrides.rounds = values.length;
+    overrides.demand = { type: 'trace', params: { values } };
+  }
+  const scenarios = Object.keys(overrides).length > 0
+    ? baseScenarios.map(baseScenario => ScenarioLoader.load({ ...baseScenario, ...overrides }))
+    : baseScenarios;
+  const progress = unit => (done, total) => {
+    if (done % 100 === 0 || done === total) process.stderr.write(`\r${done}/${total} ${unit}`);
+  };
+
+  let output;
+  if (args.tournament) {
+    for (const file of args.register) {
+      await import(pathToFileURL(resolve(file)).href);
+    }
+    const result = Tournament.run({
+      scenarios,
+      seeds: args.seeds,
+      entrants: args.entrants,
+      rankBy: args.rankBy,
+      onProgress: progress('matches')
+    });
+    process.stderr.write('\n');
+    output = args.format === 'csv'
+      ? Tournament.toCSV(result)
+      : JSON.stringify(result, null, 2) + '\n';
+  } else {
+    const summary = BatchRunner.run({
+      scenario: scenarios[0],
+      seeds: args.seeds,
+      agents: args.agents,
+      percentiles: args.percentiles,
+      keepRuns: args.keepRuns,
+      onProgress: progress('games')
+    });
+    process.stderr.write('\n');
+    output = args.format === 'csv'
+      ? BatchRunner.toCSV(summary)
+      : JSON.stringify(summary, null, 2) + '\n';
+  }
+
+  if (args.out) {
+    writeFileSync(args.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+} catch (error) {
+  process.stderr.write(`simulate: ${error.message}\n`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,212 @@
+// tournament.js
+// Round-robin strategy tournaments across roles, seeds and scenarios
+//
+// Every entrant plays every role of every scenario against every field (the
+// other roles all played by one entrant, itself included) on every seed.
+// Entrants are ranked on their means over those games, with confidence
+// intervals taken across seeds, and compared head to head seat by seat: same
+// scenario, role, field and seed. Customer demand has a seeded stream of its
+// own, so every game on a seed faces the same demand; run checks that it
+// does before pairing anything.
+
+import { GameEngine } from './game-engine.js';
+import { ScenarioLoader } from './scenario-loader.js';
+import { AgentRegistry } from './agent-registry.js';
+import { BatchRunner } from './batch-runner.js';
+
+export class Tournament {
+  // Lower is better for all of them
+  static METRICS = ['chainCost', 'roleCost', 'bullwhipRatio'];
+
+  // 95% intervals, by the normal approximation
+  static Z = 1.96;
+
+  static entrants() {
+    // Every registered agent: the classic AI, the PlayerLogic strategies and
+    // any custom strategy registered before the tournament runs
+    return AgentRegistry.list().map(agent => agent.id);
+  }
+
+  static run(options = {}) {
+    const {
+      scenarios = [undefined],
+      seeds = { from: 1, to: 20 },
+      entrants = Tournament.entrants(),
+      roles = GameEngine.DEFAULT_ROLES,
+      rankBy = 'chainCost',
+      onProgress = null
+    } = options;
+
+    if (entrants.length < 2) {
+      throw new Error('A tournament needs at least two entrants');
+    }
+    const unknown = entrants.filter(id => !AgentRegistry.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown agents: ${unknown.join(', ')}. Registered agents: ${Tournament.entrants().join(', ')}`);
+    }
+    if (!Tournament.METRICS.includes(rankBy)) {
+      throw new Error(`rankBy must be one of: ${Tournament.METRICS.join(', ')}`);
+    }
+
+    const loaded = scenarios.map(data => ScenarioLoader.load(data));
+    const seedList = BatchRunner.expandSeeds(seeds);
+    const seats = loaded.flatMap((scenario, index) => ScenarioLoader.orderNetwork(ScenarioLoader.getNetwork(scenario, roles))
+      .map(roleId => ({ scenario: index, role: roleId })));
+    const total = seats.length * entrants.length * entrants.length * seedList.length;
+    const games = new Map();
+    const demands = new Map();
+    const matches = [];
+
+    seats.forEach(seat => {
+      entrants.forEach(field => {
+        seedList.forEach(seed => {
+          entrants.forEach(entrant => {
+            // A chain played by one entrant throughout is the same game
+            // whichever seat it is counted for
+            const agents = entrant === field ? { default: field } : { default: field, [seat.role]: entrant };
+            const key = JSON.stringify([seat.scenario, seed, agents]);
+            if (!games.has(key)) {
+              const game = BatchRunner.runGame({ scenario: loaded[seat.scenario], seed, agents, roles });
+              Tournament.checkPaired(demands, `${seat.scenario}/${seed}`, game, loaded[seat.scenario].name);
+              games.set(key, game);
+            }
+
+            const game = games.get(key);
+            matches.push({
+              ...seat,
+              field,
+              seed,
+              entrant,
+              chainCost: game.chainCost,
+              roleCost: game.roles[seat.role].cost,
+              bullwhipRatio: game.roles[seat.role].bullwhipRatio
+            });
+            if (onProgress) onProgress(matches.length, total);
+          });
+        });
+      });
+    });
+
+    const headToHead = Tournament.headToHead(matches, entrants);
+    const roleIds = [...new Set(seats.map(seat => seat.role))];
+    const names = Object.fromEntries(AgentRegistry.list().map(agent => [agent.id, agent.name]));
+
+    const leaderboard = entrants.map(entrant => {
+      const own = matches.filter(match => match.entrant === entrant);
+      const rivals = Object.values(headToHead[entrant]);
+
+      return {
+        agent: entrant,
+        name: names[entrant],
+        ...Object.fromEntries(Tournament.METRICS.map(metric => [metric, Tournament.interval(Tournament.seedMeans(own, metric))])),
+        roles: Object.fromEntries(roleIds.map(roleId => [
+          roleId,
+          Tournament.interval(Tournament.seedMeans(own.filter(match => match.role === roleId), 'roleCost'))
+        ])),
+        winRate: rivals.reduce((a, b) => a + b, 0) / rivals.length
+      };
+    })
+      .sort((a, b) => Tournament.compareMeans(a[rankBy], b[rankBy]))
+      .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    return {
+      scenarios: loaded.map(scenario => scenario.name),
+      seeds: seedList.length,
+      entrants,
+      roles: roleIds,
+      games: games.size,
+      rankBy,
+      leaderboard,
+      headToHead
+    };
+  }
+
+  static checkPaired(demands, key, game, scenarioName) {
+    // Head-to-head results are only fair if every game on a seed faced the
+    // same customer demand
+    const demand = JSON.stringify(game.customerDemand);
+    if (!demands.has(key)) {
+      demands.set(key, demand);
+    } else if (demands.get(key) !== demand) {
+      throw new Error(`Games on seed ${game.seed} of ${scenarioName} faced different customer demand, so they cannot be compared head to head`);
+    }
+  }
+
+  static seedMeans(matches, metric) {
+    // One value per scenario and seed, averaged over the seats and fields
+    // played, so the samples are independent replications. Undefined (null)
+    // values, such as a bullwhip ratio against steady demand, are left out.
+    const groups = new Map();
+    matches.filter(match => match[metric] !== null).forEach(match => {
+      const key = `${match.scenario}/${match.seed}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(match[metric]);
+    });
+    return [...groups.values()].map(values => values.reduce((a, b) => a + b, 0) / values.length);
+  }
+
+  static interval(values, z = Tournament.Z) {
+    // Mean with its confidence interval
+    const n = values.length;
+    if (n === 0) {
+      return { mean: null, low: null, high: null, n };
+    }
+
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const variance = n > 1 ? values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (n - 1) : 0;
+    const half = z * Math.sqrt(variance / n);
+    return { mean, low: mean - half, high: mean + half, n };
+  }
+
+  static compareMeans(a, b) {
+    // Lower first, with entrants that have no mean last
+    if (a.mean === null || b.mean === null) {
+      return (a.mean === null) - (b.mean === null);
+    }
+    return a.mean - b.mean;
+  }
+
+  static headToHead(matches, entrants) {
+    // Share of seats where one entrant's role cost beat the other's; ties
+    // count half
+    const seats = new Map();
+    matches.forEach(match => {
+      const key = `${match.scenario}/${match.role}/${match.field}/${match.seed}`;
+      if (!seats.has(key)) seats.set(key, {});
+      seats.get(key)[match.entrant] = match.roleCost;
+    });
+
+    return Object.fromEntries(entrants.map(a => [a, Object.fromEntries(entrants
+      .filter(b => b !== a)
+      .map(b => {
+        let score = 0;
+        seats.forEach(costs => {
+          score += costs[a] < costs[b] ? 1 : costs[a] === costs[b] ? 0.5 : 0;
+        });
+        return [b, score / seats.size];
+      }))]));
+  }
+
+  static toCSV(result) {
+    // One row per entrant, ready for a spreadsheet
+    const format = value => value === null ? 'n/a' : Number.isInteger(value) ? value : value.toFixed(4);
+    const header = [
+      'rank', 'agent',
+      ...Tournament.METRICS.flatMap(metric => [metric, `${metric}Low`, `${metric}High`]),
+      ...result.roles.map(roleId => `cost:${roleId}`),
+      'winRate',
+      ...result.entrants.map(id => `vs:${id}`)
+    ];
+    const rows = result.leaderboard.map(entry => [
+      entry.rank, entry.agent,
+      ...Tournament.METRICS.flatMap(metric => [entry[metric].mean, entry[metric].low, entry[metric].high].map(format)),
+      ...result.roles.map(roleId => format(entry.roles[roleId].mean)),
+      format(entry.winRate),
+      ...result.entrants.map(id => id === entry.agent ? '' : format(result.headToHead[entry.agent][id]))
+    ]);
+
+    return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+  }
+}
+
+export default Tournament;